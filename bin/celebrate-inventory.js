@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+const Path = require('path');
+const { inventory } = require('../lib');
+
+// Usage: celebrate-inventory <app module> [--json]
+// The module must export an express app or router, either directly or as "app"
+const list = () => {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const [filename] = args.filter((arg) => arg !== '--json');
+
+  if (!filename) {
+    console.error('Usage: celebrate-inventory <app module> [--json]');
+    process.exitCode = 1;
+    return;
+  }
+
+  // eslint-disable-next-line import/no-dynamic-require, global-require
+  const exported = require(Path.resolve(filename));
+  const app = exported.app || exported;
+  const entries = inventory(app);
+
+  console.log(json ? JSON.stringify(entries, null, 2) : inventory.table(entries));
+
+  const unvalidated = entries.filter((entry) => !entry.validated).length;
+  if (!json && unvalidated) {
+    console.log(`\n${unvalidated} of ${entries.length} routes have no celebrate validation`);
+  }
+};
+
+list();
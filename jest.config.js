@@ -3,7 +3,7 @@ const testEnvironment = 'node';
 
 module.exports = {
   collectCoverage: true,
-  collectCoverageFrom: ['<rootDir>/lib/index.js'],
+  collectCoverageFrom: ['<rootDir>/lib/**/*.js'],
   coverageDirectory: '<rootDir>/coverage',
   coverageThreshold: {
     global: {
@@ -22,7 +22,7 @@ module.exports = {
     displayName: 'linter',
     runner: 'jest-runner-eslint',
     testEnvironment,
-    testMatch: ['<rootDir>/lib/**/*.js', '<rootDir>/test/**/*.js', '<rootDir>/jest.config.js'],
+    testMatch: ['<rootDir>/bin/**/*.js', '<rootDir>/lib/**/*.js', '<rootDir>/test/**/*.js', '<rootDir>/jest.config.js'],
     // Hack because of broken jest https://github.com/facebook/jest/issues/8088
     watchPathIgnorePatterns,
   }],
@@ -0,0 +1,24 @@
+// Runs the express style middleware and error handler from ./index on other frameworks
+
+// Resolves when the middleware calls next() and rejects when it calls next(err)
+exports.run = (middleware, req, res) => new Promise((resolve, reject) => {
+  middleware(req, res, (err) => (err ? reject(err) : resolve()));
+});
+
+// Captures what the errors() handler would send so every framework responds with the same body.
+// Errors the handler passes along reject the returned promise.
+exports.render = (handler, err, req) => new Promise((resolve, reject) => {
+  const headers = {};
+  let statusCode;
+  const res = {
+    setHeader: (name, value) => {
+      headers[name] = value;
+    },
+    status: (code) => {
+      statusCode = code;
+    },
+    send: (body) => resolve({ statusCode, headers, body }),
+  };
+
+  handler(err, req, res, reject);
+});
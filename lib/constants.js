@@ -1,8 +1,26 @@
 exports.segments = {
   BODY: 'body',
   COOKIES: 'cookies',
+  FILES: 'files',
   HEADERS: 'headers',
   PARAMS: 'params',
   QUERY: 'query',
   SIGNEDCOOKIES: 'signedCookies',
 };
+
+exports.modes = {
+  PARTIAL: 'partial',
+  FULL: 'full',
+  REPORT: 'report',
+};
+
+exports.responseModes = {
+  STRICT: 'strict',
+  LOG: 'log',
+};
+
+exports.bodyPolicies = {
+  SKIP: 'skip',
+  VALIDATE: 'validate',
+  REJECT: 'reject',
+};
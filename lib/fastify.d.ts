@@ -0,0 +1,21 @@
+import { CelebrateJoiOptions, CelebrateOptions, ErrorsOptions, MethodSchemaOptions, SchemaOptions } from './index';
+
+/**
+ * A Fastify `preValidation` hook.
+ */
+export type FastifyHook = (request: any, reply: any, done: (err?: Error) => void) => void;
+
+/**
+ * A Fastify error handler, for use with `fastify.setErrorHandler()`.
+ */
+export type FastifyErrorHandler = (error: Error, request: any, reply: any) => Promise<void>;
+
+/**
+ * Creates a Celebrate Fastify `preValidation` hook.
+ */
+export declare function celebrate(requestRules: SchemaOptions | MethodSchemaOptions, joiOpts?: CelebrateJoiOptions, opts?: CelebrateOptions): FastifyHook;
+
+/**
+ * Creates a Fastify error handler that responds to celebrate errors.
+ */
+export declare function errors(opts?: ErrorsOptions): FastifyErrorHandler;
@@ -0,0 +1,27 @@
+const { celebrate, errors } = require('./index');
+const { run, render } = require('./adapter');
+
+// Use as a preValidation hook; Fastify requests expose the same segments as express
+exports.celebrate = (requestRules, joiOpts, opts) => {
+  const middleware = celebrate(requestRules, joiOpts, opts);
+
+  const hook = (request, reply, done) => {
+    run(middleware, request, reply.raw).then(() => done(), done);
+  };
+
+  hook._schema = middleware._schema;
+
+  return hook;
+};
+
+// Use with fastify.setErrorHandler(); other errors get Fastify's default error response
+exports.errors = (opts) => {
+  const handler = errors(opts);
+
+  return (error, request, reply) => render(handler, error, request)
+    .then(({ statusCode, headers, body }) => {
+      reply.code(statusCode).headers(headers).send(body);
+    }, (err) => {
+      reply.send(err);
+    });
+};
@@ -0,0 +1,82 @@
+const Joi = require('@hapi/joi');
+const { FILESOPTSSCHEMA } = require('./schema');
+
+const internals = {};
+
+// Groups the uploads by form field. multer sets req.file for single() and req.files as an array
+// for array() and any() or as an object of arrays for fields(). express-fileupload sets req.files
+// as an object holding a file, or an array of files, per field.
+exports.extractFiles = (req) => {
+  const grouped = {};
+  const add = (field, file) => {
+    grouped[field] = (grouped[field] || []).concat(file);
+  };
+
+  if (req.file) {
+    add(req.file.fieldname, req.file);
+  }
+
+  if (Array.isArray(req.files)) {
+    req.files.forEach((file) => add(file.fieldname, file));
+  } else if (req.files && typeof req.files === 'object') {
+    Object.entries(req.files).forEach(([field, files]) => add(field, files));
+  }
+
+  return grouped;
+};
+
+internals.escape = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// "image/*" allows every image subtype
+internals.mimeTypes = (mimeTypes) => {
+  const alternatives = mimeTypes.map((mimeType) => (mimeType.endsWith('/*')
+    ? `${internals.escape(mimeType.slice(0, -1))}[^/]+`
+    : internals.escape(mimeType)));
+
+  return Joi.string()
+    .pattern(new RegExp(`^(?:${alternatives.join('|')})$`, 'i'), { name: 'mime type' })
+    .messages({ 'string.pattern.name': `{{#label}} must be one of ${mimeTypes.join(', ')}` });
+};
+
+exports.files = (opts = {}) => {
+  Joi.assert(opts, FILESOPTSSCHEMA);
+  const {
+    min,
+    max,
+    minSize,
+    maxSize,
+    mimeTypes,
+    filename,
+  } = opts;
+
+  let size = Joi.number().messages({
+    'number.min': '{{#label}} must be at least {{#limit}} bytes',
+    'number.max': '{{#label}} must be at most {{#limit}} bytes',
+  });
+  if (minSize !== undefined) {
+    size = size.min(minSize);
+  }
+  if (maxSize !== undefined) {
+    size = size.max(maxSize);
+  }
+
+  // multer names the client's filename "originalname" and express-fileupload names it "name"
+  const name = filename ? Joi.string().pattern(filename) : Joi.string();
+
+  const file = Joi.object({
+    originalname: name,
+    name,
+    mimetype: mimeTypes ? internals.mimeTypes(mimeTypes) : Joi.string(),
+    size,
+  }).unknown();
+
+  let schema = Joi.array().items(file);
+  if (min !== undefined) {
+    schema = schema.min(min);
+  }
+  if (max !== undefined) {
+    schema = schema.max(max);
+  }
+
+  return min > 0 ? schema.required() : schema;
+};
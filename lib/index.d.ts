@@ -1,8 +1,18 @@
-import { ErrorRequestHandler, RequestHandler } from 'express';
+import { ErrorRequestHandler, Request, RequestHandler, Response } from 'express';
 import {
+    AnySchema,
+    ArraySchema,
+    BinarySchema,
+    BooleanSchema,
+    DateSchema,
+    Description,
+    NumberSchema,
+    ObjectSchema,
     Root as joi,
+    StringSchema,
     ValidationOptions,
     ValidationError,
+    ValidationErrorItem,
     ValidationResult,
 } from '@hapi/joi';
 
@@ -14,12 +24,68 @@ export declare enum Segments {
     COOKIES       = 'cookies',
     SIGNEDCOOKIES = 'signedCookies',
     BODY          = 'body',
+    FILES         = 'files',
 }
 
+export declare enum Modes {
+    PARTIAL = 'partial',
+    FULL    = 'full',
+    REPORT  = 'report',
+}
+
+export declare enum ResponseModes {
+    STRICT = 'strict',
+    LOG    = 'log',
+}
+
+export declare enum BodyPolicies {
+    SKIP     = 'skip',
+    VALIDATE = 'validate',
+    REJECT   = 'reject',
+}
+
+
+export interface CelebrateErrorMeta {
+    /**
+     * The first segment that failed validation, or `'response'` for `celebrateResponse()` errors.
+     */
+    source: Segments | string;
+    /**
+     * Set to `Modes.FULL`, or `Modes.REPORT` in report mode, when the error holds every failing segment.
+     */
+    mode?: Modes;
+    /**
+     * The response status code, set on `celebrateResponse()` errors.
+     */
+    statusCode?: number;
+}
 
-interface CelebrateInternalError {
+export interface CelebrateError extends Error {
+    /**
+     * The joi error of the first failing segment.
+     */
     joi: ValidationError;
-    meta: { source: Segments };
+    meta: CelebrateErrorMeta;
+    /**
+     * The joi error for each failing segment. In full mode this holds every segment that failed validation.
+     */
+    details: Map<Segments | string, ValidationError>;
+}
+
+export interface CelebrateWarning {
+    message: string;
+    details: ValidationErrorItem[];
+}
+
+export interface ValidationStats {
+    /**
+     * The total validation time in milliseconds.
+     */
+    duration: number;
+    /**
+     * The milliseconds spent validating each segment.
+     */
+    timings: Map<Segments | string, number>;
 }
 
 export interface CelebrateOptions {
@@ -27,6 +93,115 @@ export interface CelebrateOptions {
      * When `true` uses the entire `req` object as the `context` value during validation.
      */
     reqContext?: boolean;
+    /**
+     * Resolves the `context` value used during validation for each request. Cannot be combined with `reqContext`.
+     */
+    context?: (req: Request, res: Response) => object | Promise<object>;
+    /**
+     * When `Modes.FULL`, validates every configured segment and reports all failures in a single error.
+     * When `Modes.REPORT`, validates every configured segment and hands failures to `reporter` without rejecting the request.
+     * Defaults to `Modes.PARTIAL`, which stops at the first failing segment.
+     */
+    mode?: Modes;
+    /**
+     * Required with `Modes.REPORT`. Called with the error of every request that fails validation,
+     * or with the error thrown by `context`. Anything it throws or rejects with is ignored.
+     */
+    reporter?: (err: CelebrateError | Error, req: Request, res: Response) => void | Promise<void>;
+    /**
+     * With `Modes.REPORT`, the share of requests to validate, from 0 to 1. Defaults to 1.
+     */
+    sampleRate?: number;
+    /**
+     * When `false`, validated values are stored on `req.celebrate` and the original `req` segments are left untouched.
+     * Defaults to `true`.
+     */
+    mutate?: boolean;
+    /**
+     * How `req.body` is handled on `GET` and `HEAD` requests. Defaults to `BodyPolicies.SKIP`.
+     */
+    bodyPolicy?: BodyPolicies;
+    /**
+     * Reshapes `req.query` to match the query schema before it is validated: delimited strings and single values
+     * become arrays where the schema expects one, and bracket and dot notation keys become nested objects.
+     */
+    shapeQuery?: boolean | { delimiter?: string };
+    /**
+     * joi message catalogs keyed by locale. The catalog is chosen per request from the `Accept-Language` header.
+     */
+    locales?: { [locale: string]: { [code: string]: string } };
+    /**
+     * The locale used when none of the `Accept-Language` values match a catalog in `locales`.
+     */
+    fallbackLocale?: string;
+    /**
+     * When `true`, joi warnings are sent in a `Warning` response header. Defaults to `false`.
+     */
+    warningHeader?: boolean;
+    /**
+     * Called with the joi warning for each segment whenever validation produces warnings.
+     */
+    onWarning?: (warnings: Map<Segments | string, CelebrateWarning>, req: Request, res: Response) => void;
+    /**
+     * Called when every segment passes validation.
+     */
+    onSuccess?: (req: Request, res: Response, stats: ValidationStats) => void;
+    /**
+     * Called with the celebrate error when validation fails.
+     */
+    onFailure?: (err: CelebrateError, req: Request, res: Response, stats: ValidationStats) => void;
+    /**
+     * Called after every validation; `err` is `null` when validation passed.
+     */
+    onComplete?: (err: CelebrateError | null, req: Request, res: Response, stats: ValidationStats) => void;
+    /**
+     * Field paths, or a predicate over joi error details, whose labels and rejected values are replaced with `'[REDACTED]'`.
+     */
+    redact?: string[] | ((detail: ValidationErrorItem, segment: Segments | string) => boolean);
+}
+
+export interface CelebrateResponseOptions {
+    /**
+     * When `ResponseModes.STRICT`, a response body that fails validation is replaced by a 500 response.
+     * When `ResponseModes.LOG`, the original body is sent and the error is only passed to `onError`.
+     * Defaults to `ResponseModes.STRICT`.
+     */
+    mode?: ResponseModes;
+    /**
+     * Called with the validation error whenever a response body fails validation. Required in `ResponseModes.LOG`.
+     */
+    onError?: (err: CelebrateError, req: Request, res: Response) => void;
+}
+
+export interface CelebrateJoiOptions extends ValidationOptions {
+    /**
+     * joi options for `req.params`, layered over the shared options.
+     */
+    params?: ValidationOptions;
+    /**
+     * joi options for `req.headers`, layered over the shared options.
+     */
+    headers?: ValidationOptions;
+    /**
+     * joi options for `req.query`, layered over the shared options.
+     */
+    query?: ValidationOptions;
+    /**
+     * joi options for `req.cookies`, layered over the shared options.
+     */
+    cookies?: ValidationOptions;
+    /**
+     * joi options for `req.signedCookies`, layered over the shared options.
+     */
+    signedCookies?: ValidationOptions;
+    /**
+     * joi options for `req.body`, layered over the shared options.
+     */
+    body?: ValidationOptions;
+    /**
+     * joi options for the uploaded files, layered over the shared options.
+     */
+    files?: ValidationOptions;
 }
 
 export interface SchemaOptions {
@@ -54,18 +229,311 @@ export interface SchemaOptions {
      * When `body` is set, `joi` will validate `req.body` with the supplied schema.
      */
     body?: object;
+    /**
+     * When `files` is set, `joi` will validate the uploads in `req.file` and `req.files`, grouped by field name.
+     */
+    files?: object;
+    /**
+     * Schemas for segments added with `registerSegment()`.
+     */
+    [customSegment: string]: object | undefined;
+}
+
+export interface MethodSchemaOptions {
+    GET?: SchemaOptions;
+    HEAD?: SchemaOptions;
+    POST?: SchemaOptions;
+    PUT?: SchemaOptions;
+    PATCH?: SchemaOptions;
+    DELETE?: SchemaOptions;
+    OPTIONS?: SchemaOptions;
+    [method: string]: SchemaOptions | undefined;
+}
+
+export interface SegmentOptions {
+    /**
+     * Returns the value to validate. Defaults to `req[name]`.
+     */
+    extract?: (req: Request) => any;
+    /**
+     * An existing segment this segment is validated before. Defaults to validating after every other segment.
+     */
+    before?: Segments | string;
+    /**
+     * `false` skips writing the validated value back, a function writes it back itself.
+     * Defaults to replacing `req[name]` with the validated value.
+     */
+    writeBack?: boolean | ((req: Request, value: any) => void);
 }
 
+declare global {
+    namespace Express {
+        interface Request {
+            /**
+             * The validated segments, set when celebrate runs with `mutate: false`.
+             */
+            celebrate?: { [segment in Segments]?: any };
+            /**
+             * The joi warning for each segment, set when validation produces warnings.
+             */
+            celebrateWarnings?: Map<Segments | string, CelebrateWarning>;
+        }
+    }
+}
+
+/**
+ * The value a schema validates to. Plain objects of schemas map to objects with optional keys, since `required()` is not tracked by the joi typings.
+ */
+export type SchemaValue<T> =
+    T extends ObjectSchema<infer V> ? V :
+    T extends ArraySchema ? any[] :
+    T extends StringSchema ? string :
+    T extends NumberSchema ? number :
+    T extends BooleanSchema ? boolean :
+    T extends DateSchema ? Date :
+    T extends BinarySchema ? Buffer :
+    T extends AnySchema ? any :
+    T extends object ? { [K in keyof T]?: SchemaValue<T[K]> } :
+    T;
+
+/**
+ * The value of the segment keyed by `E` (a `Segments` member) or `N` (its name) in `R`, or `D` when `R` has no schema for it.
+ */
+export type SegmentValue<R, E extends Segments, N extends string, D> =
+    string extends keyof R ? D :
+    E extends keyof R ? SchemaValue<NonNullable<R[E]>> :
+    N extends keyof R ? SchemaValue<NonNullable<R[N]>> :
+    D;
+
+/**
+ * A request handler whose `req.params`, `req.body` and `req.query` are typed from the rules passed to `celebrate()`.
+ */
+export type CelebrateRequestHandler<R> = RequestHandler<
+    SegmentValue<R, Segments.PARAMS, 'params', Request['params']>,
+    any,
+    SegmentValue<R, Segments.BODY, 'body', any>,
+    SegmentValue<R, Segments.QUERY, 'query', Request['query']>
+>;
 
 /**
 * Creates a Celebrate middleware function.
 */
-export declare function celebrate(requestRules: SchemaOptions, joiOpts?: ValidationOptions, opts?: CelebrateOptions): RequestHandler;
+export declare function celebrate<R extends SchemaOptions | MethodSchemaOptions>(requestRules: R, joiOpts?: CelebrateJoiOptions, opts?: CelebrateOptions): CelebrateRequestHandler<R>;
+
+export declare namespace celebrate {
+    /**
+     * Creates a Celebrate middleware function that validates the rules of `base` and `requestRules` in a single pass.
+     */
+    function extend(base: RequestHandler | SchemaOptions | MethodSchemaOptions, requestRules: SchemaOptions | MethodSchemaOptions, joiOpts?: CelebrateJoiOptions, opts?: CelebrateOptions): RequestHandler;
+}
+
+/**
+ * Validates a request-like object outside of a middleware stack and resolves to the validated segments.
+ */
+export declare function validate(requestRules: SchemaOptions | MethodSchemaOptions, requestLike: object, joiOpts?: CelebrateJoiOptions, opts?: Pick<CelebrateOptions, Exclude<keyof CelebrateOptions, 'mutate' | 'warningHeader' | 'reporter' | 'sampleRate'>>): Promise<{ [segment: string]: any }>;
+
+/**
+ * Returns the validation context of the request being validated, for use inside joi `external()` methods.
+ */
+export declare function getContext(): any;
+
+/**
+ * Creates a middleware function that validates outgoing response bodies against a schema per status code.
+ */
+export declare function celebrateResponse(responseRules: { [statusCode: number]: object }, joiOpts?: ValidationOptions, opts?: CelebrateResponseOptions): RequestHandler;
+
+/**
+ * The 4xx and 5xx status codes `errors()` accepts.
+ */
+export type ErrorStatusCode =
+    400 | 401 | 402 | 403 | 404 | 405 | 406 | 407 | 408 | 409 | 410 | 411 | 412 | 413 | 414 | 415 | 416 | 417 | 418 |
+    421 | 422 | 423 | 424 | 425 | 426 | 428 | 429 | 431 | 451 |
+    500 | 501 | 502 | 503 | 504 | 505 | 506 | 507 | 508 | 509 | 510 | 511;
+
+export interface ErrorFormatter<TBody = any> {
+    (err: CelebrateError, req: Request, opts: { statusCode: ErrorStatusCode }): TBody;
+    /**
+     * When set, `errors()` sends this value as the `Content-Type` response header.
+     */
+    contentType?: string;
+}
+
+export interface ErrorRenderer {
+    (body: any, err: CelebrateError, req: Request, opts: { statusCode: ErrorStatusCode }): any;
+    /**
+     * When set, `errors()` sends this value as the `Content-Type` response header.
+     */
+    contentType?: string;
+}
+
+export interface ErrorsOptions {
+    /**
+     * The response status code. Defaults to 400.
+     */
+    statusCode?: ErrorStatusCode;
+    /**
+     * Builds the response body from the celebrate error.
+     */
+    format?: ErrorFormatter;
+    /**
+     * Renderers keyed by media type, picked from the `Accept` header. `null` removes a built-in renderer.
+     */
+    renderers?: { [mediaType: string]: ErrorRenderer | null };
+}
+
+export interface ValidationSource {
+    source: Segments | string;
+    keys: string[];
+}
+
+/**
+ * The response body of the default `errors()` format.
+ */
+export interface ErrorBody {
+    statusCode: ErrorStatusCode;
+    error: string;
+    message: string;
+    /**
+     * In full mode, the failing segments keyed by segment, each with its own `message`.
+     */
+    validation: ValidationSource | { [segment: string]: ValidationSource & { message: string } };
+}
+
+export interface ProblemDetails {
+    type: string;
+    title: string;
+    status: ErrorStatusCode;
+    detail: string;
+    instance?: string;
+    errors: Array<{
+        source: Segments | string;
+        key?: string;
+        type?: string;
+        message: string;
+    }>;
+}
 
 /**
  * Creates a Celebrate error handler middleware function.
  */
-export declare function errors(opts?: { statusCode: number }): ErrorRequestHandler;
+export declare function errors(opts?: ErrorsOptions): ErrorRequestHandler;
+
+/**
+ * Registers an additional segment that celebrate can validate.
+ */
+export declare function registerSegment(name: string, opts?: SegmentOptions): void;
+
+/**
+ * Formats a celebrate error as an RFC 7807 `application/problem+json` body.
+ */
+export declare const problemDetails: ErrorFormatter<ProblemDetails>;
+
+export interface OpenApiOptions {
+    /**
+     * The OpenAPI `info` object. Defaults to `{ title: 'API', version: '1.0.0' }`.
+     */
+    info?: { title: string, version: string, [key: string]: any };
+    /**
+     * The OpenAPI `servers` array.
+     */
+    servers?: Array<{ url: string, [key: string]: any }>;
+}
+
+/**
+ * Walks an express app or router and builds an OpenAPI 3 document from the celebrate middleware it finds.
+ */
+export declare function openapi(app: { stack?: any[], _router?: { stack: any[] }, router?: any }, opts?: OpenApiOptions): { [key: string]: any };
+
+export interface FilesOptions {
+    /**
+     * The fewest files the field accepts. Any value above 0 makes the field required.
+     */
+    min?: number;
+    /**
+     * The most files the field accepts.
+     */
+    max?: number;
+    /**
+     * The smallest size of each file, in bytes.
+     */
+    minSize?: number;
+    /**
+     * The largest size of each file, in bytes.
+     */
+    maxSize?: number;
+    /**
+     * The allowed MIME types, such as `'application/pdf'` or `'image/*'`.
+     */
+    mimeTypes?: string[];
+    /**
+     * A pattern every original filename must match.
+     */
+    filename?: RegExp;
+}
+
+/**
+ * Creates a schema for the uploads of one form field, for use in the `files` segment.
+ */
+export declare function files(opts?: FilesOptions): ArraySchema;
+
+export interface InventoryEntry {
+    /**
+     * The upper case HTTP method, or `'ALL'` for routes that only have `route.all()` handlers.
+     */
+    method: string;
+    path: string;
+    /**
+     * `true` when celebrate validates at least one segment of the route.
+     */
+    validated: boolean;
+    /**
+     * The joi `describe()` of every schema that validates each segment.
+     */
+    segments: { [segment: string]: Description[] };
+}
+
+/**
+ * Lists every route of an express app or router with the segments celebrate validates.
+ */
+export declare function inventory(app: { stack?: any[], _router?: { stack: any[] }, router?: any }): InventoryEntry[];
+
+export declare namespace inventory {
+    /**
+     * Formats inventory entries as a plain text table.
+     */
+    function table(entries: InventoryEntry[]): string;
+}
+
+export interface MetricsOptions {
+    /**
+     * Prepended to every metric name. Defaults to `'celebrate_'`.
+     */
+    prefix?: string;
+    /**
+     * Returns the `route` label for a request.
+     */
+    route?: (req: Request) => string;
+}
+
+export interface MetricsCollector {
+    /**
+     * Pass as the `onComplete` option of `celebrate()`.
+     */
+    onComplete: NonNullable<CelebrateOptions['onComplete']>;
+    /**
+     * Returns the metrics in the Prometheus text format.
+     */
+    text(): string;
+    /**
+     * Responds with the metrics in the Prometheus text format.
+     */
+    handler: RequestHandler;
+}
+
+/**
+ * Creates a collector that counts validations per route, segment and joi error type.
+ */
+export declare function metrics(opts?: MetricsOptions): MetricsCollector;
 
 /**
  * The Joi version Celebrate uses internally.
@@ -75,9 +543,9 @@ export declare const Joi: joi;
 /**
  * Examines an error object to determine if it originated from the celebrate middleware.
  */
-export declare function isCelebrate(err: object): boolean;
+export declare function isCelebrate(err: unknown): err is CelebrateError;
 
 /**
  * The standard error used by Celebrate
  */
-export declare function CelebrateError(error: ValidationError, segment: Segments, opts?: { celebrated?: boolean }): Error & CelebrateInternalError;
+export declare function CelebrateError(error: ValidationError, segment: Segments | string, opts?: { celebrated?: boolean }): CelebrateError;
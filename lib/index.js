@@ -1,15 +1,41 @@
 const Assert = require('assert');
+const { AsyncLocalStorage } = require('async_hooks');
 const HTTP = require('http');
 const Joi = require('@hapi/joi');
 const EscapeHtml = require('escape-html');
+const Schemas = require('./schema');
+
 const {
   CELEBRATEERROROPTSSCHEMA,
   CELEBRATEOPTSSCHEMA,
-  REQUESTSCHEMA,
-  SEGMENTSCHEMA,
   ERRORSOPTSSCHEMA,
-} = require('./schema');
-const { segments } = require('./constants');
+  REGISTERSEGMENTSCHEMA,
+  REGISTERSEGMENTOPTSSCHEMA,
+  RESPONSESCHEMA,
+  RESPONSEOPTSSCHEMA,
+  VALIDATEOPTSSCHEMA,
+  VALIDATEREQUESTSCHEMA,
+} = Schemas;
+const {
+  segments,
+  modes,
+  responseModes,
+  bodyPolicies,
+} = require('./constants');
+const { openapi } = require('./openapi');
+const { inventory } = require('./inventory');
+const { metrics } = require('./metrics');
+const { renderers } = require('./renderers');
+const { shapeQuery } = require('./query');
+const {
+  ANY_METHOD,
+  isBodyless,
+  isMethodRules,
+  methodKey,
+  rulesFor,
+  segmentJoiOpts,
+} = require('./rules');
+const { extractFiles, files } = require('./files');
 
 const internals = {
   CELEBRATED: Symbol('celebrated'),
@@ -19,6 +45,19 @@ const internals = {
   DEFAULT_ERRORS_OPTS: {
     statusCode: 400,
   },
+  DEFAULT_RESPONSE_OPTS: {
+    mode: responseModes.STRICT,
+  },
+  RESPONSE_SOURCE: 'response',
+  VALIDATED: 'celebrate',
+  WARNINGS: 'celebrateWarnings',
+  REDACTED: '[REDACTED]',
+  JSON_TYPE: 'application/json',
+  // Empty objects and strings are what body parsers leave behind when there is no body
+  UNEXPECTED_BODY: Joi.any()
+    .empty(Joi.alternatives(Joi.object().length(0), Joi.valid('')))
+    .forbidden()
+    .label(segments.BODY),
 };
 
 internals.CelebrateError = class extends Error {
@@ -26,32 +65,51 @@ internals.CelebrateError = class extends Error {
     super(joiError.message);
     this.joi = joiError;
     this.meta = { source: segment };
+    this.details = new Map([[segment, joiError]]);
     this[internals.CELEBRATED] = opts.celebrated;
   }
 };
 
-internals.validateSegment = (segment) => (spec, {
-  config,
-  req,
-}) => spec.validateAsync(req[segment], config);
+// Schemas without externals take the synchronous path, where joi reports failures in the result.
+// normalize() reshapes the extracted value before joi sees it, without changing the request.
+internals.validateSegment = (
+  segment,
+  extract = (req) => req[segment],
+  normalize = (value) => value,
+) => (spec, opts, config) => {
+  const value = normalize(extract(opts.req), spec, opts);
+  return opts.sync
+    ? spec.validate(value, config)
+    : spec.validateAsync(value, config);
+};
+
+internals.normalizeQuery = (value, spec, opts) => (opts.shapeQuery
+  ? shapeQuery(value, spec, opts.shapeQuery)
+  : value);
 
 internals.maybeValidateBody = (segment) => {
   const validateBody = internals.validateSegment(segment);
-  return (spec, opts) => {
-    const method = opts.req.method.toLowerCase();
+  return (spec, opts, config) => {
+    if (isBodyless(opts.req.method)) {
+      if (opts.bodyPolicy === bodyPolicies.VALIDATE) {
+        return validateBody(spec, opts, config);
+      }
+
+      if (opts.bodyPolicy === bodyPolicies.REJECT) {
+        return validateBody(internals.UNEXPECTED_BODY, opts, config);
+      }
 
-    if (method === 'get' || method === 'head') {
       // This resolve is to emulate how Joi validates when there isn't an error. I'm doing this to
       // standardize the resolve value.
-      return Promise.resolve({
-        value: null,
-      });
+      return opts.sync ? internals.SKIPPED : Promise.resolve(internals.SKIPPED);
     }
 
-    return validateBody(spec, opts);
+    return validateBody(spec, opts, config);
   };
 };
 
+internals.SKIPPED = { value: null };
+
 internals.REQ_VALIDATIONS = [
   {
     segment: segments.HEADERS,
@@ -63,7 +121,7 @@ internals.REQ_VALIDATIONS = [
   },
   {
     segment: segments.QUERY,
-    validate: internals.validateSegment(segments.QUERY),
+    validate: internals.validateSegment(segments.QUERY, undefined, internals.normalizeQuery),
   },
   {
     segment: segments.COOKIES,
@@ -76,64 +134,665 @@ internals.REQ_VALIDATIONS = [
   {
     segment: segments.BODY,
     validate: internals.maybeValidateBody(segments.BODY),
+    // Unexpected bodies on GET and HEAD are rejected even when there are no body rules
+    defaultSchema: ({ req, bodyPolicy }) => (
+      bodyPolicy === bodyPolicies.REJECT && isBodyless(req.method)
+        ? internals.UNEXPECTED_BODY
+        : undefined
+    ),
+  },
+  {
+    segment: segments.FILES,
+    validate: internals.validateSegment(segments.FILES, extractFiles),
+    // Uploads keep the shape the upload middleware gave them
+    writeBack: false,
   },
 ];
 
+internals.writeBack = ({ req, mutate }, segment, value, writeBack) => {
+  // When mutation is turned off, the raw segment stays as the client sent it
+  if (mutate === false) {
+    req[internals.VALIDATED] = {
+      ...req[internals.VALIDATED],
+      [segment]: value,
+    };
+    return;
+  }
+
+  if (writeBack === false) {
+    return;
+  }
+
+  if (typeof writeBack === 'function') {
+    writeBack(req, value);
+    return;
+  }
+
+  // Express 5 defines req.query as a getter on the request prototype, so the validated value
+  // becomes an own property that shadows it. It stays configurable for any later middleware.
+  Object.defineProperty(req, segment, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+};
+
+internals.segmentSchema = (step, requestRules, opts) => {
+  const { segment, defaultSchema = () => undefined } = step;
+  return requestRules.get(segment) || defaultSchema(opts);
+};
+
+internals.passed = (opts, { segment, writeBack }, { value, warning }) => {
+  if (warning) {
+    opts.warnings.set(segment, internals.redact(warning, segment, opts.redact));
+  }
+  // Report mode leaves the request exactly as it arrived
+  if (value != null && opts.mode !== modes.REPORT) {
+    internals.writeBack(opts, segment, value, writeBack);
+  }
+};
+
+internals.failed = (opts, { segment }, e, failures) => {
+  const error = internals.redact(e, segment, opts.redact);
+  // In partial mode the first failing segment short-circuits the rest of the chain
+  if (opts.mode !== modes.FULL && opts.mode !== modes.REPORT) {
+    throw new internals.CelebrateError(
+      error,
+      segment,
+      internals.DEFAULT_ERROR_ARGS,
+    );
+  }
+  return failures.concat({ segment, error });
+};
+
+internals.settle = (failures, mode) => {
+  if (failures.length) {
+    throw internals.combineFailures(failures, mode);
+  }
+  return null;
+};
+
 // Lifted this idea from https://bit.ly/2vf3Xe0
-internals.check = (steps, requestRules, opts) => steps.reduce((chain, {
-  validate: stepValidate,
-  segment: stepSegment,
-}) => chain.then(() => {
-  // If there isn't a schema set up for this segment, early return
-  const currentSegmentSchema = requestRules.get(stepSegment);
-  if (!currentSegmentSchema) {
-    return Promise.resolve(null);
-  }
-
-  return stepValidate(currentSegmentSchema, opts)
-    .then(({ value }) => {
-      if (value != null) {
-        Object.defineProperty(opts.req, stepSegment, {
-          value,
+internals.check = (steps, requestRules, opts) => steps.reduce((chain, step) => chain
+  .then((failures) => {
+    // If there isn't a schema set up for this segment, early return
+    const currentSegmentSchema = internals.segmentSchema(step, requestRules, opts);
+    if (!currentSegmentSchema) {
+      return failures;
+    }
+
+    const start = process.hrtime.bigint();
+    return step.validate(currentSegmentSchema, opts, opts.configFor(step.segment))
+      .finally(() => opts.timings.set(step.segment, internals.elapsed(start)))
+      .then((result) => {
+        internals.passed(opts, step, result);
+        return failures;
+      })
+      .catch((e) => internals.failed(opts, step, e, failures));
+  }), Promise.resolve([])).then((failures) => internals.settle(failures, opts.mode));
+
+// The same steps as check(), in a single synchronous pass
+internals.checkSync = (steps, requestRules, opts) => internals.settle(steps
+  .reduce((failures, step) => {
+    const currentSegmentSchema = internals.segmentSchema(step, requestRules, opts);
+    if (!currentSegmentSchema) {
+      return failures;
+    }
+
+    const start = process.hrtime.bigint();
+    const result = step.validate(currentSegmentSchema, opts, opts.configFor(step.segment));
+    opts.timings.set(step.segment, internals.elapsed(start));
+
+    if (result.error) {
+      return internals.failed(opts, step, result.error, failures);
+    }
+    internals.passed(opts, step, result);
+    return failures;
+  }, []), opts.mode);
+
+// Paths match the detail path with or without the segment in front, and cover any nested keys
+internals.shouldRedact = (redact, segment, detail) => {
+  if (typeof redact === 'function') {
+    return Boolean(redact(detail, segment));
+  }
+
+  const path = detail.path.join('.');
+  return redact.some((candidate) => [path, `${segment}.${path}`]
+    .some((target) => target === candidate || target.startsWith(`${candidate}.`)));
+};
+
+// Copies value along path only, so the rest of the original input is shared
+internals.redactPath = (value, [key, ...rest]) => {
+  if (key === undefined) {
+    return internals.REDACTED;
+  }
+
+  if (value === null || typeof value !== 'object' || !(key in value)) {
+    return value;
+  }
+
+  const copy = Array.isArray(value) ? [...value] : { ...value };
+  copy[key] = internals.redactPath(value[key], rest);
+  return copy;
+};
+
+// The listed paths inside segment, so they can be scrubbed from the input joi keeps
+internals.listedPaths = (redact, segment) => {
+  if (typeof redact === 'function') {
+    return [];
+  }
+
+  const prefix = `${segment}.`;
+  return redact.map((candidate) => {
+    if (candidate === segment) {
+      return [];
+    }
+    return (candidate.startsWith(prefix) ? candidate.slice(prefix.length) : candidate).split('.');
+  });
+};
+
+internals.redactDetail = (detail) => {
+  const { context } = detail;
+  // joi quotes both the label and the value when it puts them in a message
+  const message = [context.label, context.value]
+    .filter((value) => ['string', 'number'].includes(typeof value) && value !== '')
+    .reduce((memo, value) => memo.split(`"${value}"`).join(`"${internals.REDACTED}"`), detail.message);
+
+  return {
+    ...detail,
+    message,
+    context: {
+      ...context,
+      label: internals.REDACTED,
+      value: internals.REDACTED,
+    },
+  };
+};
+
+// Scrubs the rejected values and labels from a joi error or warning before it leaves celebrate
+internals.redact = (joiError, segment, redact) => {
+  if (!redact || !Array.isArray(joiError.details)) {
+    return joiError;
+  }
+
+  const redacted = joiError.details
+    .filter((detail) => internals.shouldRedact(redact, segment, detail));
+  const paths = redacted.map(({ path }) => path)
+    .concat(internals.listedPaths(redact, segment));
+  if (!paths.length) {
+    return joiError;
+  }
+
+  const details = joiError.details.map((detail) => (redacted.includes(detail)
+    ? internals.redactDetail(detail)
+    : detail));
+  const message = details.map((detail) => detail.message).join('. ');
+
+  // joi warnings are plain objects without the input
+  if (!(joiError instanceof Joi.ValidationError)) {
+    return { ...joiError, message, details };
+  }
+
+  // joi keeps the whole input for annotate(), which would otherwise end up in logs
+  return new Joi.ValidationError(message, details, paths.reduce(
+    (memo, path) => internals.redactPath(memo, path),
+    joiError._original,
+  ));
+};
+
+// Folds every failing segment into a single error; joi and meta.source still point at the first one
+internals.combineFailures = (failures, mode) => {
+  const [first, ...rest] = failures;
+  const err = new internals.CelebrateError(
+    first.error,
+    first.segment,
+    internals.DEFAULT_ERROR_ARGS,
+  );
+
+  rest.forEach(({ segment, error }) => err.details.set(segment, error));
+  err.message = failures.map(({ error }) => error.message).join('. ');
+  err.meta.mode = mode;
+
+  return err;
+};
+
+// Warning header values are quoted strings and can only hold printable ASCII
+internals.warningHeader = (warnings) => Array.from(warnings.values())
+  .reduce((memo, warning) => memo.concat(warning.details), [])
+  .map(({ message }) => message.replace(/[^\x20-\x7e]/g, '?').replace(/["\\]/g, '\\$&'))
+  .map((message) => `299 - "${message}"`)
+  .join(', ');
+
+internals.reportWarnings = (warnings, req, res, { mode, warningHeader, onWarning }) => {
+  if (!warnings.size) {
+    return;
+  }
+
+  if (mode !== modes.REPORT) {
+    req[internals.WARNINGS] = warnings; // eslint-disable-line no-param-reassign
+  }
+
+  if (warningHeader) {
+    res.setHeader('Warning', internals.warningHeader(warnings));
+  }
+
+  if (onWarning) {
+    onWarning(warnings, req, res);
+  }
+};
+
+// A failing reporter must not fail the request it is reporting on
+internals.sendReport = (reporter, err, req, res) => {
+  internals.attempt(() => reporter(err, req, res)).catch(() => {});
+};
+
+// Milliseconds since a process.hrtime.bigint() reading
+internals.elapsed = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+
+// err is null when every segment passed
+internals.reportLifecycle = (err, req, res, stats, { onSuccess, onFailure, onComplete }) => {
+  if (err && onFailure) {
+    onFailure(err, req, res, stats);
+  }
+
+  if (!err && onSuccess) {
+    onSuccess(req, res, stats);
+  }
+
+  if (onComplete) {
+    onComplete(err, req, res, stats);
+  }
+};
+
+internals.validationKeys = (joiError) => {
+  const keys = [];
+  if (joiError.details) {
+    for (let i = 0; i < joiError.details.length; i += 1) {
+      const path = joiError.details[i].path.join('.');
+      keys.push(EscapeHtml(path));
+    }
+  }
+  return keys;
+};
+
+// Parses an Accept style header into its lowercased ranges, best quality first
+internals.acceptRanges = (header) => String(header || '').split(',')
+  .map((part, index) => {
+    const [tag, ...params] = part.trim().toLowerCase().split(';');
+    const quality = params.find((param) => param.trim().startsWith('q='));
+    return {
+      tag: tag.trim(),
+      q: quality ? Number(quality.trim().slice(2)) : 1,
+      index,
+    };
+  })
+  .filter(({ tag, q }) => tag && q > 0)
+  .sort((a, b) => b.q - a.q || a.index - b.index);
+
+// Picks the best locale for an Accept-Language header, honoring quality values
+internals.negotiateLocale = (header, available, fallback) => {
+  const lookup = Array.from(available).reduce(
+    (memo, locale) => memo.set(locale.toLowerCase(), locale),
+    new Map(),
+  );
+  const primary = (tag) => tag.split('-')[0];
+  const ranges = internals.acceptRanges(header);
+
+  for (let i = 0; i < ranges.length; i += 1) {
+    const { tag } = ranges[i];
+    if (tag === '*') {
+      return fallback;
+    }
+
+    // Exact match first, then "fr-CA" => "fr", then "fr" => "fr-FR"
+    const match = [tag, primary(tag)].find((candidate) => lookup.has(candidate))
+      || Array.from(lookup.keys()).find((locale) => primary(locale) === tag);
+    if (match) {
+      return lookup.get(match);
+    }
+  }
+
+  return fallback;
+};
+
+// Picks the best media type for an Accept header; "text/*" matches the first available text type
+internals.negotiateMediaType = (header, available, fallback) => {
+  const ranges = internals.acceptRanges(header);
+
+  for (let i = 0; i < ranges.length; i += 1) {
+    const { tag } = ranges[i];
+    if (tag === '*/*') {
+      return fallback;
+    }
+
+    const match = tag.endsWith('/*')
+      ? available.find((type) => type.startsWith(tag.slice(0, -1)))
+      : available.find((type) => type === tag);
+    if (match) {
+      return match;
+    }
+  }
+
+  return fallback;
+};
+
+internals.compileRules = (requestRules, messages) => Object.entries(requestRules)
+  .reduce((memo, [key, value]) => {
+    const schema = Joi.compile(value);
+    return memo.set(key, messages ? schema.prefs({ messages }) : schema);
+  }, new Map());
+
+// Looks for external() anywhere in a schema description, including nested keys and items
+internals.hasExternals = (description) => Boolean(description)
+  && typeof description === 'object'
+  && (Array.isArray(description.externals)
+    || Object.values(description).some(internals.hasExternals));
+
+// Method keyed rules get an entry per method, other rules apply to every method
+internals.compileEntries = (_requestRules, locales = {}) => {
+  const byMethod = isMethodRules(_requestRules)
+    ? Object.entries(_requestRules)
+    : [[ANY_METHOD, _requestRules]];
+
+  return byMethod.reduce((memo, [method, rules]) => memo.set(method, {
+    rules: internals.compileRules(rules),
+    sync: !Object.values(rules)
+      .some((rule) => internals.hasExternals(Joi.compile(rule).describe())),
+    // Each locale gets its own copy of the rules with that locale's messages baked in
+    localized: Object.entries(locales).reduce(
+      (localized, [locale, messages]) => localized.set(
+        locale,
+        internals.compileRules(rules, messages),
+      ),
+      new Map(),
+    ),
+  }), new Map());
+};
+
+internals.assertRules = (requestRules) => {
+  if (isMethodRules(requestRules)) {
+    Object.values(requestRules).forEach((rules) => Joi.assert(rules, Schemas.REQUESTSCHEMA));
+  } else {
+    Joi.assert(requestRules, Schemas.REQUESTSCHEMA);
+  }
+};
+
+// Segments in both rules are concatenated, so object schemas end up with the keys of both
+internals.mergeRules = (base = {}, rules = {}) => Object.entries(rules)
+  .reduce((memo, [segment, schema]) => ({
+    ...memo,
+    [segment]: memo[segment] ? Joi.compile(memo[segment]).concat(Joi.compile(schema)) : schema,
+  }), base);
+
+// Rules are merged for each method either side has rules for, using the same lookup as a request,
+// so HEAD still falls back to GET. Plain rules apply to every method and are kept under ANY_METHOD
+// for the methods neither side lists
+internals.mergeMethodRules = (base, rules) => {
+  if (!isMethodRules(base) && !isMethodRules(rules)) {
+    return internals.mergeRules(base, rules);
+  }
+
+  const methods = [base, rules].reduce((memo, requestRules) => memo.concat(
+    isMethodRules(requestRules) ? Object.keys(requestRules) : ANY_METHOD,
+  ), []);
+
+  return Array.from(new Set(methods)).reduce((memo, method) => ({
+    ...memo,
+    [method]: internals.mergeRules(rulesFor(base, method), rulesFor(rules, method)),
+  }), {});
+};
+
+// Per-segment joi options are layered instead of replaced
+internals.mergeJoiOpts = (base, joiOpts) => Object.entries(joiOpts || {})
+  .reduce((memo, [key, value]) => ({
+    ...memo,
+    [key]: Object.values(segments).includes(key) ? { ...memo[key], ...value } : value,
+  }), { ...base });
+
+internals.contextStore = new AsyncLocalStorage();
+
+internals.attempt = (fn) => {
+  try {
+    return Promise.resolve(fn());
+  } catch (err) {
+    return Promise.reject(err);
+  }
+};
+
+internals.resolveContext = (req, res, opts) => Promise.resolve().then(() => {
+  if (opts.context) {
+    return opts.context(req, res);
+  }
+  return opts.reqContext ? req : undefined;
+});
+
+// Compiles the rules once and returns a function that validates a single request
+internals.validator = (_requestRules, joiOpts, opts) => {
+  internals.assertRules(_requestRules);
+  Joi.assert(joiOpts, Schemas.JOIOPTSSCHEMA);
+
+  const joiOptsBySegment = segmentJoiOpts(joiOpts);
+  // joi merges any options it is given with its defaults, so empty ones are left out
+  const sharedJoiOpts = new Map(Array.from(joiOptsBySegment)
+    .map(([segment, config]) => [segment, Object.keys(config).length ? config : undefined]));
+  const locales = Object.keys(opts.locales || {});
+
+  // Compile all schemas in advance and only do it once
+  const entries = internals.compileEntries(_requestRules, opts.locales);
+
+  return (req, res) => {
+    const entry = entries.get(methodKey(req.method, Array.from(entries.keys())))
+      || entries.get(ANY_METHOD);
+
+    // Methods without rules pass straight through, as do requests report mode doesn't sample
+    if (!entry || (opts.sampleRate !== undefined && Math.random() >= opts.sampleRate)) {
+      return Promise.resolve(null);
+    }
+
+    const locale = opts.locales && internals.negotiateLocale(
+      (req.headers || {})['accept-language'],
+      locales,
+      opts.fallbackLocale,
+    );
+
+    const rules = entry.localized.get(locale) || entry.rules;
+    const warnings = new Map();
+    const timings = new Map();
+    const start = process.hrtime.bigint();
+
+    // Warnings from the segments that passed are still reported when another segment fails
+    const report = (err) => {
+      internals.reportWarnings(warnings, req, res, opts);
+      internals.reportLifecycle(err, req, res, {
+        duration: internals.elapsed(start),
+        timings,
+      }, opts);
+    };
+
+    // Without externals or a context function nothing needs to wait, so validation runs in one pass
+    const sync = entry.sync && !opts.context;
+    const run = (context) => {
+      // Synchronous joi validation doesn't take the warnings preference, and without a context
+      // there is nothing to add to the options, so they are shared between requests
+      const configFor = sync && context === undefined
+        ? (segment) => sharedJoiOpts.get(segment)
+        : (segment) => ({
+          ...joiOptsBySegment.get(segment),
+          ...(context === undefined ? {} : { context }),
+          ...(sync ? {} : { warnings: true }),
         });
+
+      // joi only hands externals the value, so they read the context through getContext()
+      const check = sync ? internals.checkSync : internals.check;
+      return internals.contextStore.run(context, () => check(
+        internals.REQ_VALIDATIONS,
+        rules,
+        {
+          configFor,
+          req,
+          sync,
+          mode: opts.mode,
+          mutate: opts.mutate,
+          bodyPolicy: opts.bodyPolicy,
+          shapeQuery: opts.shapeQuery,
+          redact: opts.redact,
+          warnings,
+          timings,
+        },
+      ));
+    };
+
+    const passed = (result) => {
+      report(null);
+      return result;
+    };
+    // Report mode hands every error to the reporter instead of rejecting the request
+    const reject = (err) => {
+      if (opts.mode === modes.REPORT) {
+        internals.sendReport(opts.reporter, err, req, res);
+        return null;
       }
-      return null;
-    })
-    .catch((e) => {
-      throw new internals.CelebrateError(
-        e,
-        stepSegment,
-        internals.DEFAULT_ERROR_ARGS,
-      );
-    });
-}), Promise.resolve(null));
+      throw err;
+    };
+    const failed = (err) => {
+      report(err);
+      return reject(err);
+    };
+
+    if (sync) {
+      return internals.attempt(() => run(opts.reqContext ? req : undefined)).then(passed, failed);
+    }
+
+    // Errors from the context option skip the lifecycle hooks and are passed along unchanged
+    return internals.resolveContext(req, res, opts)
+      .then((context) => run(context).then(passed, failed), reject);
+  };
+};
 
 exports.celebrate = (_requestRules, joiOpts = {}, opts = {}) => {
-  Joi.assert(_requestRules, REQUESTSCHEMA);
   Joi.assert(opts, CELEBRATEOPTSSCHEMA);
+  const validateRequest = internals.validator(_requestRules, joiOpts, opts);
+
+  // This promise is not part of the public API; it's only here to make the tests cleaner
+  const middleware = (req, res, next) => validateRequest(req, res).then(next).catch(next);
+
+  middleware._schema = _requestRules;
+  middleware._joiOpts = joiOpts;
+  middleware._opts = opts;
+
+  return middleware;
+};
+
+exports.celebrate.extend = (base, _requestRules, joiOpts, opts) => {
+  const isMiddleware = typeof base === 'function';
+  const baseRules = isMiddleware ? base._schema : base;
+  Assert.ok(baseRules, '"base" must be a celebrate middleware or a rules object');
+  internals.assertRules(baseRules);
+  internals.assertRules(_requestRules);
+
+  return exports.celebrate(
+    internals.mergeMethodRules(baseRules, _requestRules),
+    internals.mergeJoiOpts(isMiddleware ? base._joiOpts : {}, joiOpts),
+    { ...(isMiddleware ? base._opts : {}), ...opts },
+  );
+};
+
+exports.validate = (_requestRules, requestLike, joiOpts = {}, opts = {}) => Promise.resolve()
+  .then(() => {
+    Joi.assert(requestLike, VALIDATEREQUESTSCHEMA);
+    Joi.assert(opts, VALIDATEOPTSSCHEMA);
+    // Outside of a router a method without rules is a mistake, not a route to pass through
+    if (isMethodRules(_requestRules)) {
+      Assert.ok(
+        rulesFor(_requestRules, requestLike.method),
+        `"requestLike.method" must be one of ${Object.keys(_requestRules).join(', ')}`,
+      );
+    }
+
+    // Validate a stand-in so requestLike is never written to; the validated values collect on it
+    const req = Object.create(requestLike, {
+      [internals.VALIDATED]: {
+        value: {},
+        writable: true,
+      },
+    });
+
+    return internals.validator(_requestRules, joiOpts, { ...opts, mutate: false })(req, null)
+      .then(() => req[internals.VALIDATED]);
+  });
+
+exports.getContext = () => internals.contextStore.getStore();
+
+exports.celebrateResponse = (_responseRules, joiOpts = {}, opts = {}) => {
+  Joi.assert(_responseRules, RESPONSESCHEMA);
+  Joi.assert(opts, RESPONSEOPTSSCHEMA);
+
+  const { mode, onError } = { ...internals.DEFAULT_RESPONSE_OPTS, ...opts };
 
   // Compile all schemas in advance and only do it once
-  const requestRules = Object.entries(_requestRules)
-    .reduce((memo, [key, value]) => memo.set(key, Joi.compile(value)), new Map());
+  const responseRules = Object.entries(_responseRules)
+    .reduce((memo, [key, value]) => memo.set(Number(key), Joi.compile(value)), new Map());
 
   const middleware = (req, res, next) => {
-    const config = opts.reqContext ? {
-      ...joiOpts,
-      context: req,
-      warnings: true,
-    } : {
-      ...joiOpts,
-      warnings: true,
+    // res.json calls res.send internally, so only the first call made by the handler is validated
+    let checked = false;
+
+    const wrap = (original) => function celebrateResponse(...args) {
+      if (checked) {
+        return original.apply(this, args);
+      }
+      checked = true;
+
+      // Support both res.send(body) and the res.send(statusCode, body) signature
+      const bodyIndex = typeof args[0] === 'number' ? 1 : 0;
+      const statusCode = bodyIndex ? args[0] : res.statusCode;
+      const schema = responseRules.get(statusCode);
+
+      if (!schema) {
+        return original.apply(this, args);
+      }
+
+      const { error, value } = schema.validate(args[bodyIndex], joiOpts);
+
+      if (!error) {
+        const validatedArgs = [...args];
+        if (bodyIndex < args.length) {
+          validatedArgs[bodyIndex] = value;
+        }
+        return original.apply(this, validatedArgs);
+      }
+
+      const err = new internals.CelebrateError(error, internals.RESPONSE_SOURCE, {
+        celebrated: false,
+      });
+      err.meta.statusCode = statusCode;
+
+      if (onError) {
+        onError(err, req, res);
+      }
+
+      if (mode === responseModes.LOG) {
+        return original.apply(this, args);
+      }
+
+      res.statusCode = 500; // eslint-disable-line no-param-reassign
+      return original.call(this, {
+        statusCode: 500,
+        error: HTTP.STATUS_CODES[500],
+        message: 'Response validation failed',
+      });
     };
 
-    // This promise is not part of the public API; it's only here to make the tests cleaner
-    return internals.check(internals.REQ_VALIDATIONS, requestRules, {
-      config,
-      req,
-    }).then(next).catch(next);
+    /* eslint-disable no-param-reassign */
+    res.json = wrap(res.json);
+    res.send = wrap(res.send);
+    /* eslint-enable no-param-reassign */
+
+    next();
   };
 
-  middleware._schema = _requestRules;
+  middleware._schema = _responseRules;
 
   return middleware;
 };
@@ -145,52 +804,166 @@ exports.isCelebrate = (err) => {
   return false;
 };
 
+internals.defaultFormat = (err, req, { statusCode }) => {
+  const {
+    joi,
+    meta,
+    details,
+  } = err;
+
+  const result = {
+    statusCode,
+    error: HTTP.STATUS_CODES[statusCode],
+    message: joi.message,
+    validation: {
+      source: meta.source,
+      keys: internals.validationKeys(joi),
+    },
+  };
+
+  if (meta.mode === modes.FULL || meta.mode === modes.REPORT) {
+    result.message = err.message;
+    result.validation = {};
+    details.forEach((joiError, segment) => {
+      result.validation[segment] = {
+        source: segment,
+        keys: internals.validationKeys(joiError),
+        message: joiError.message,
+      };
+    });
+  }
+
+  return result;
+};
+
+// RFC 7807 problem details; every failing key is listed in the "errors" extension member
+internals.problemDetails = (err, req, { statusCode }) => {
+  const errors = [];
+  err.details.forEach((joiError, segment) => {
+    if (!joiError.details) {
+      errors.push({ source: segment, message: joiError.message });
+      return;
+    }
+
+    joiError.details.forEach((detail) => {
+      errors.push({
+        source: segment,
+        key: EscapeHtml(detail.path.join('.')),
+        type: detail.type,
+        message: detail.message,
+      });
+    });
+  });
+
+  const result = {
+    type: 'about:blank',
+    title: HTTP.STATUS_CODES[statusCode],
+    status: statusCode,
+    detail: err.message,
+  };
+
+  if (req && (req.originalUrl || req.url)) {
+    result.instance = req.originalUrl || req.url;
+  }
+
+  result.errors = errors;
+
+  return result;
+};
+internals.problemDetails.contentType = 'application/problem+json';
+
 exports.errors = (opts = {}) => {
   const finalOpts = { ...internals.DEFAULT_ERRORS_OPTS, ...opts };
   Joi.assert(finalOpts, ERRORSOPTSSCHEMA);
 
+  const {
+    statusCode,
+    format = internals.defaultFormat,
+  } = finalOpts;
+
+  // A format with its own content type is sent as is when that type is asked for
+  const formatRenderers = format.contentType ? {
+    [format.contentType.split(';')[0].trim()]: renderers[internals.JSON_TYPE],
+  } : {};
+
+  // Renderers set to null are not offered
+  const renderersByType = Object.entries({
+    ...renderers,
+    ...formatRenderers,
+    ...finalOpts.renderers,
+  })
+    .filter(([, renderer]) => renderer)
+    .reduce((memo, [type, renderer]) => memo.set(type.toLowerCase(), renderer), new Map());
+  const available = Array.from(renderersByType.keys());
+
   return (err, req, res, next) => {
   // If this isn't a Celebrate error, send it to the next error handler
     if (!exports.isCelebrate(err)) {
       return next(err);
     }
 
-    const {
-      joi,
-      meta,
-    } = err;
-
-    const {
-      statusCode,
-    } = finalOpts;
+    const type = internals.negotiateMediaType(
+      ((req && req.headers) || {}).accept,
+      available,
+      internals.JSON_TYPE,
+    );
+    const renderer = renderersByType.get(type);
+    const result = renderer(format(err, req, { statusCode }), err, req, { statusCode });
+    const contentType = renderer.contentType || format.contentType;
 
-    const result = {
-      statusCode,
-      error: HTTP.STATUS_CODES[statusCode],
-      message: joi.message,
-      validation: {
-        source: meta.source,
-        keys: [],
-      },
-    };
-
-    if (joi.details) {
-      for (let i = 0; i < joi.details.length; i += 1) {
-        const path = joi.details[i].path.join('.');
-        result.validation.keys.push(EscapeHtml(path));
-      }
+    if (contentType) {
+      res.setHeader('Content-Type', contentType);
     }
 
-    return res.send(statusCode, result);
+    // res.send(statusCode, body) was removed in Express 5 and res.status() doesn't chain in restify
+    res.status(statusCode);
+    return res.send(result);
   };
 };
 
 exports.CelebrateError = (error, segment, opts = { celebrated: false }) => {
   Assert.ok(error && error.isJoi, '"error" must be a Joi error');
-  Joi.assert(segment, SEGMENTSCHEMA);
+  Joi.assert(segment, Schemas.SEGMENTSCHEMA);
   Joi.assert(opts, CELEBRATEERROROPTSSCHEMA);
   return new internals.CelebrateError(error, segment, opts);
 };
 
+exports.registerSegment = (name, opts = {}) => {
+  Joi.assert(name, REGISTERSEGMENTSCHEMA);
+  Joi.assert(opts, REGISTERSEGMENTOPTSSCHEMA);
+
+  const key = name.toUpperCase();
+  Assert.ok(
+    !Object.values(segments).includes(name) && !segments[key],
+    `"${name}" is already a segment`,
+  );
+
+  const index = opts.before
+    ? internals.REQ_VALIDATIONS.findIndex(({ segment }) => segment === opts.before)
+    : internals.REQ_VALIDATIONS.length;
+  Assert.ok(index > -1, `"${opts.before}" is not a segment`);
+
+  internals.REQ_VALIDATIONS.splice(index, 0, {
+    segment: name,
+    validate: internals.validateSegment(name, opts.extract),
+    writeBack: opts.writeBack,
+  });
+  segments[key] = name;
+  Schemas.registerSegment(name);
+};
+
+exports.problemDetails = internals.problemDetails;
+
+exports.openapi = openapi;
+
+exports.inventory = inventory;
+
+exports.files = files;
+
+exports.metrics = metrics;
+
 exports.Joi = Joi;
 exports.Segments = segments;
+exports.Modes = modes;
+exports.ResponseModes = responseModes;
+exports.BodyPolicies = bodyPolicies;
@@ -0,0 +1,61 @@
+const Joi = require('@hapi/joi');
+const { segments } = require('./constants');
+const { routes } = require('./router');
+const { rulesFor, validatesSegment } = require('./rules');
+
+const internals = {
+  COLUMNS: ['METHOD', 'PATH', 'SEGMENTS'],
+  UNVALIDATED: '(unvalidated)',
+};
+
+internals.isValidated = (segment, method, middleware) => Object.values(segments).includes(segment)
+  && validatesSegment(segment, method, middleware._opts.bodyPolicy);
+
+// Every middleware adds the describe() of its own schema, so a segment validated twice lists both
+internals.segments = (method, middleware) => middleware.reduce((memo, handle) => {
+  const requestRules = rulesFor(handle._schema, method) || {};
+  Object.keys(requestRules)
+    .filter((segment) => internals.isValidated(segment, method, handle))
+    .forEach((segment) => {
+      // eslint-disable-next-line no-param-reassign
+      memo[segment] = (memo[segment] || []).concat(Joi.compile(requestRules[segment]).describe());
+    });
+  return memo;
+}, {});
+
+internals.method = (method) => (method === '_all' ? 'ALL' : method.toUpperCase());
+
+exports.inventory = (app) => routes(app).map(({ method, path, middleware }) => {
+  const validatedSegments = internals.segments(method, middleware);
+  return {
+    method: internals.method(method),
+    path,
+    validated: Object.keys(validatedSegments).length > 0,
+    segments: validatedSegments,
+  };
+});
+
+internals.keys = (descriptions) => descriptions.reduce((memo, description) => memo
+  .concat(Object.keys(description.keys || {}).filter((key) => !memo.includes(key))), []);
+
+internals.summary = (entry) => {
+  if (!entry.validated) {
+    return internals.UNVALIDATED;
+  }
+
+  return Object.entries(entry.segments).map(([segment, descriptions]) => {
+    const keys = internals.keys(descriptions);
+    return keys.length ? `${segment} (${keys.join(', ')})` : segment;
+  }).join(', ');
+};
+
+exports.inventory.table = (entries) => {
+  const rows = [internals.COLUMNS].concat(entries
+    .map((entry) => [entry.method, entry.path, internals.summary(entry)]));
+  const widths = internals.COLUMNS.map((column, index) => Math.max(...rows
+    .map((row) => row[index].length)));
+
+  return rows
+    .map((row) => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+    .join('\n');
+};
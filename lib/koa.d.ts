@@ -0,0 +1,16 @@
+import { CelebrateJoiOptions, CelebrateOptions, ErrorsOptions, MethodSchemaOptions, SchemaOptions } from './index';
+
+/**
+ * A Koa middleware function.
+ */
+export type KoaMiddleware = (ctx: any, next: () => Promise<any>) => Promise<any>;
+
+/**
+ * Creates a Celebrate Koa middleware function that validates `ctx.request` and `ctx.params`.
+ */
+export declare function celebrate(requestRules: SchemaOptions | MethodSchemaOptions, joiOpts?: CelebrateJoiOptions, opts?: CelebrateOptions): KoaMiddleware;
+
+/**
+ * Creates a Koa middleware function that responds to celebrate errors thrown further down the chain.
+ */
+export declare function errors(opts?: ErrorsOptions): KoaMiddleware;
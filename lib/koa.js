@@ -0,0 +1,62 @@
+const { celebrate, errors } = require('./index');
+const { run, render } = require('./adapter');
+
+const internals = {};
+
+// Koa keeps the request on ctx.request and the router params on ctx. Validating a copy of
+// ctx.request means the getters Koa defines on it, such as query, are never written to.
+internals.request = (ctx) => Object.create(ctx.request, {
+  params: {
+    value: ctx.params,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  },
+});
+
+internals.writeBack = (ctx, req) => {
+  Object.getOwnPropertyNames(req).forEach((key) => {
+    if (key === 'params') {
+      ctx.params = req.params; // eslint-disable-line no-param-reassign
+      return;
+    }
+
+    Object.defineProperty(ctx.request, key, {
+      value: req[key],
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  });
+};
+
+exports.celebrate = (requestRules, joiOpts, opts) => {
+  const middleware = celebrate(requestRules, joiOpts, opts);
+
+  const koaMiddleware = (ctx, next) => {
+    const req = internals.request(ctx);
+    return run(middleware, req, ctx.res).then(() => {
+      internals.writeBack(ctx, req);
+      return next();
+    });
+  };
+
+  koaMiddleware._schema = middleware._schema;
+
+  return koaMiddleware;
+};
+
+exports.errors = (opts) => {
+  const handler = errors(opts);
+
+  // Koa errors bubble up through next(), so this has to be registered before the routes
+  return (ctx, next) => next().catch((err) => render(handler, err, ctx.request)
+    .then(({ statusCode, headers, body }) => {
+      /* eslint-disable no-param-reassign */
+      ctx.status = statusCode;
+      ctx.body = body;
+      /* eslint-enable no-param-reassign */
+      // Setting the body resets Content-Type, so custom headers go last
+      ctx.set(headers);
+    }));
+};
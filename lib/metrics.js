@@ -0,0 +1,101 @@
+const Joi = require('@hapi/joi');
+const { METRICSOPTSSCHEMA } = require('./schema');
+
+const internals = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  DEFAULT_METRICS_OPTS: {
+    prefix: 'celebrate_',
+  },
+  // Requests that didn't go through a router are grouped together to keep the label set small
+  UNMATCHED_ROUTE: 'unmatched',
+  UNKNOWN_TYPE: 'unknown',
+};
+
+internals.defaultRoute = (req) => (req.route
+  ? `${req.baseUrl || ''}${req.route.path}`
+  : internals.UNMATCHED_ROUTE);
+
+internals.escape = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+internals.labels = (labels) => `{${Object.entries(labels)
+  .map(([key, value]) => `${key}="${internals.escape(value)}"`)
+  .join(',')}}`;
+
+// A set of samples keyed by their label values
+internals.series = () => {
+  const samples = new Map();
+  return {
+    add: (labels, amount = 1) => {
+      const key = internals.labels(labels);
+      samples.set(key, (samples.get(key) || 0) + amount);
+    },
+    lines: (name) => Array.from(samples.entries()).map(([key, value]) => `${name}${key} ${value}`),
+  };
+};
+
+// Renders one metric; each sample set is a name suffix and the series holding its values
+internals.metric = (name, type, help, samples) => [
+  `# HELP ${name} ${help}`,
+  `# TYPE ${name} ${type}`,
+  ...samples.reduce((memo, [suffix, series]) => memo.concat(series.lines(`${name}${suffix}`)), []),
+].join('\n');
+
+exports.metrics = (opts = {}) => {
+  Joi.assert(opts, METRICSOPTSSCHEMA);
+
+  const {
+    prefix,
+    route = internals.defaultRoute,
+  } = { ...internals.DEFAULT_METRICS_OPTS, ...opts };
+
+  const requests = internals.series();
+  const failures = internals.series();
+  const durationSum = internals.series();
+  const durationCount = internals.series();
+
+  const onComplete = (err, req, res, { timings }) => {
+    const path = route(req);
+
+    requests.add({ route: path, result: err ? 'failure' : 'success' });
+
+    timings.forEach((duration, segment) => {
+      durationSum.add({ route: path, segment }, duration / 1e3);
+      durationCount.add({ route: path, segment });
+    });
+
+    if (err) {
+      err.details.forEach((joiError, segment) => {
+        (joiError.details || [{ type: internals.UNKNOWN_TYPE }]).forEach(({ type }) => {
+          failures.add({ route: path, segment, type });
+        });
+      });
+    }
+  };
+
+  const text = () => [
+    internals.metric(`${prefix}requests_total`, 'counter', 'Requests validated by celebrate.', [
+      ['', requests],
+    ]),
+    internals.metric(`${prefix}failures_total`, 'counter', 'Failed validations by segment and joi error type.', [
+      ['', failures],
+    ]),
+    internals.metric(`${prefix}segment_duration_seconds`, 'summary', 'Time spent validating each segment.', [
+      ['_sum', durationSum],
+      ['_count', durationCount],
+    ]),
+  ].join('\n').concat('\n');
+
+  const handler = (req, res) => {
+    res.setHeader('Content-Type', internals.CONTENT_TYPE);
+    res.end(text());
+  };
+
+  return {
+    onComplete,
+    text,
+    handler,
+  };
+};
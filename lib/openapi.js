@@ -0,0 +1,264 @@
+const Joi = require('@hapi/joi');
+const { OPENAPIOPTSSCHEMA } = require('./schema');
+const { segments } = require('./constants');
+const { routes } = require('./router');
+const { rulesFor, validatesSegment } = require('./rules');
+
+const internals = {
+  OPENAPI_VERSION: '3.0.3',
+  DEFAULT_OPENAPI_OPTS: {
+    info: {
+      title: 'API',
+      version: '1.0.0',
+    },
+  },
+  // Maps the celebrate segments that become OpenAPI parameters to their "in" value
+  PARAMETER_SEGMENTS: [
+    [segments.PARAMS, 'path'],
+    [segments.QUERY, 'query'],
+    [segments.HEADERS, 'header'],
+    [segments.COOKIES, 'cookie'],
+    [segments.SIGNEDCOOKIES, 'cookie'],
+  ],
+  TYPES: {
+    array: { type: 'array' },
+    binary: { type: 'string', format: 'binary' },
+    boolean: { type: 'boolean' },
+    date: { type: 'string', format: 'date-time' },
+    number: { type: 'number' },
+    object: { type: 'object' },
+    string: { type: 'string' },
+  },
+  STRING_FORMATS: {
+    email: 'email',
+    guid: 'uuid',
+    hostname: 'hostname',
+    isoDate: 'date-time',
+    uri: 'uri',
+  },
+  LIMITS: {
+    array: { min: 'minItems', max: 'maxItems', length: ['minItems', 'maxItems'] },
+    object: { min: 'minProperties', max: 'maxProperties', length: ['minProperties', 'maxProperties'] },
+    string: { min: 'minLength', max: 'maxLength', length: ['minLength', 'maxLength'] },
+    number: {
+      min: 'minimum', max: 'maximum', greater: 'minimum', less: 'maximum',
+    },
+  },
+};
+
+internals.applyRule = (schema, type, { name, args = {} }) => {
+  if (name === 'integer') {
+    return { ...schema, type: 'integer' };
+  }
+
+  if (name === 'pattern') {
+    return { ...schema, pattern: args.regex.slice(1, args.regex.lastIndexOf('/')) };
+  }
+
+  if (internals.STRING_FORMATS[name]) {
+    return { ...schema, format: internals.STRING_FORMATS[name] };
+  }
+
+  const limits = internals.LIMITS[type] || {};
+  // Limits that are joi references can't be represented statically
+  if (!limits[name] || typeof args.limit !== 'number') {
+    return schema;
+  }
+
+  const result = [].concat(limits[name])
+    .reduce((memo, key) => ({ ...memo, [key]: args.limit }), schema);
+
+  if (name === 'greater') {
+    result.exclusiveMinimum = true;
+  } else if (name === 'less') {
+    result.exclusiveMaximum = true;
+  }
+
+  return result;
+};
+
+internals.toJsonSchema = (description) => {
+  const {
+    type,
+    flags = {},
+    rules = [],
+    allow = [],
+    examples,
+  } = description;
+
+  const schema = rules.reduce(
+    (memo, rule) => internals.applyRule(memo, type, rule),
+    { ...internals.TYPES[type] },
+  );
+
+  if (type === 'object' && description.keys) {
+    const keys = Object.entries(description.keys)
+      .filter(([, value]) => !value.flags || value.flags.presence !== 'forbidden');
+    const required = keys
+      .filter(([, value]) => value.flags && value.flags.presence === 'required')
+      .map(([key]) => key);
+
+    schema.properties = keys.reduce((memo, [key, value]) => ({
+      ...memo,
+      [key]: internals.toJsonSchema(value),
+    }), {});
+    schema.additionalProperties = flags.unknown === true;
+    if (required.length) {
+      schema.required = required;
+    }
+  }
+
+  if (type === 'array') {
+    const items = (description.items || []).map(internals.toJsonSchema);
+    schema.items = items.length > 1 ? { oneOf: items } : items[0] || {};
+  }
+
+  if (type === 'alternatives') {
+    schema.oneOf = (description.matches || [])
+      .filter((match) => match.schema)
+      .map((match) => internals.toJsonSchema(match.schema));
+  }
+
+  if (allow.includes(null)) {
+    schema.nullable = true;
+  }
+
+  if (flags.only) {
+    schema.enum = allow.filter((value) => value !== null);
+  }
+
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  // Object and function defaults are references or generators that can't be serialized
+  if (['string', 'number', 'boolean'].includes(typeof flags.default)) {
+    schema.default = flags.default;
+  }
+
+  if (examples && examples.length) {
+    [schema.example] = examples;
+  }
+
+  return schema;
+};
+
+internals.describe = (rule) => Joi.compile(rule).describe();
+
+internals.isRequired = (description) => Boolean(description.flags)
+  && description.flags.presence === 'required';
+
+internals.parameters = (requestRules) => internals.PARAMETER_SEGMENTS
+  .reduce((memo, [segment, location]) => {
+    if (!requestRules[segment]) {
+      return memo;
+    }
+
+    const description = internals.describe(requestRules[segment]);
+    // Only object schemas have named keys that can become parameters
+    if (description.type !== 'object' || !description.keys) {
+      return memo;
+    }
+
+    return memo.concat(Object.entries(description.keys).map(([name, value]) => ({
+      name,
+      in: location,
+      // Path parameters are always required in OpenAPI
+      required: location === 'path' || internals.isRequired(value),
+      schema: internals.toJsonSchema(value),
+    })));
+  }, []);
+
+internals.operation = (path, method, middleware) => {
+  const parameters = new Map();
+  let requestBody;
+
+  // Every path template parameter must be declared, even the ones celebrate doesn't validate
+  (path.match(/{\w+}/g) || []).forEach((match) => {
+    const name = match.slice(1, -1);
+    parameters.set(`path:${name}`, {
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: 'string' },
+    });
+  });
+
+  middleware.forEach((handle) => {
+    const requestRules = rulesFor(handle._schema, method);
+    if (!requestRules) {
+      return;
+    }
+
+    // Rules closer to the route replace any inherited parameter with the same name
+    internals.parameters(requestRules).forEach((parameter) => {
+      parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+    });
+
+    if (requestRules[segments.BODY]
+      && validatesSegment(segments.BODY, method, handle._opts.bodyPolicy)) {
+      const description = internals.describe(requestRules[segments.BODY]);
+      requestBody = {
+        required: internals.isRequired(description),
+        content: {
+          'application/json': {
+            schema: internals.toJsonSchema(description),
+          },
+        },
+      };
+    }
+  });
+
+  const operation = {};
+  if (parameters.size) {
+    operation.parameters = Array.from(parameters.values());
+  }
+  if (requestBody) {
+    operation.requestBody = requestBody;
+  }
+  operation.responses = {
+    default: {
+      description: 'Default response',
+    },
+  };
+
+  return operation;
+};
+
+internals.toOpenApiPath = (path) => path.replace(/:(\w+)\??/g, '{$1}');
+
+exports.openapi = (app, opts = {}) => {
+  Joi.assert(opts, OPENAPIOPTSSCHEMA);
+
+  const { info, servers } = { ...internals.DEFAULT_OPENAPI_OPTS, ...opts };
+  const paths = {};
+
+  routes(app).forEach(({
+    method,
+    path,
+    pattern,
+    middleware,
+  }) => {
+    // Array and regular expression paths have no OpenAPI equivalent
+    if (pattern || method === '_all' || !middleware.length) {
+      return;
+    }
+
+    const openApiPath = internals.toOpenApiPath(path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method] = internals.operation(openApiPath, method, middleware);
+  });
+
+  const document = {
+    openapi: internals.OPENAPI_VERSION,
+    info,
+  };
+
+  if (servers) {
+    document.servers = servers;
+  }
+
+  document.paths = paths;
+
+  return document;
+};
@@ -0,0 +1,141 @@
+const internals = {
+  DEFAULT_DELIMITER: ',',
+  // Bracket and dot notation such as "filter[name]", "ids[]" or "filter.name"
+  NOTATION: /^([^.[\]]+)((?:\[[^\]]*\]|\.[^.[\]]+)+)$/,
+  PART: /\[([^\]]*)\]|\.([^.[\]]+)/g,
+  INDEX: /^\d+$/,
+  UNSAFE_KEYS: ['__proto__', 'constructor', 'prototype'],
+  // describe() is only worth running once per compiled schema
+  descriptions: new WeakMap(),
+};
+
+internals.describe = (schema) => {
+  if (!internals.descriptions.has(schema)) {
+    internals.descriptions.set(schema, schema.describe());
+  }
+  return internals.descriptions.get(schema);
+};
+
+internals.isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value);
+
+internals.path = (key) => {
+  const match = internals.NOTATION.exec(key);
+  if (!match) {
+    return null;
+  }
+
+  const path = [match[1]];
+  match[2].replace(internals.PART, (part, bracket, dot) => {
+    path.push(bracket === undefined ? dot : bracket);
+    return part;
+  });
+  return path.some((part) => internals.UNSAFE_KEYS.includes(part)) ? null : path;
+};
+
+// Walks path into target, creating objects, or arrays for "[]", along the way. Returns false
+// when the path runs into a value that can't hold keys, so the key is kept as it was sent.
+internals.set = (target, path, value) => {
+  let container = target;
+  for (let i = 0; i < path.length - 1; i += 1) {
+    const next = container[path[i]];
+    if (next === undefined) {
+      container[path[i]] = path[i + 1] === '' ? [] : {};
+    } else if (next === null || typeof next !== 'object' || (Array.isArray(next) && path[i + 1] !== '')) {
+      return false;
+    } else {
+      // Parsers such as qs already nest some keys, and those objects belong to the request
+      container[path[i]] = Array.isArray(next) ? [...next] : { ...next };
+    }
+    container = container[path[i]];
+  }
+
+  const last = path[path.length - 1];
+  if (last === '') {
+    if (!Array.isArray(container)) {
+      return false;
+    }
+    container.push(...[].concat(value));
+    return true;
+  }
+
+  if (Array.isArray(container) || container[last] !== undefined) {
+    return false;
+  }
+  container[last] = value;
+  return true;
+};
+
+// Own properties only, so a "__proto__" key sent by the client can't replace the prototype
+internals.assign = (target, key, value) => Object.defineProperty(target, key, {
+  value,
+  writable: true,
+  enumerable: true,
+  configurable: true,
+});
+
+// Keys the schema doesn't know are expanded when they use bracket or dot notation. Plain keys
+// are copied first, so the expanded keys are merged into them whatever the order they were sent in.
+internals.expand = (value, keys) => {
+  const entries = Object.entries(value)
+    .map(([key, child]) => [key, child, keys[key] ? null : internals.path(key)]);
+
+  const plain = entries
+    .filter(([, , path]) => !path)
+    .reduce((memo, [key, child]) => internals.assign(memo, key, child), {});
+
+  return entries
+    .filter(([, , path]) => path)
+    .reduce((memo, [key, child, path]) => (internals.set(memo, path, child)
+      ? memo
+      : internals.assign(memo, key, child)), plain);
+};
+
+// Objects with only numeric keys come from indexed notation such as "ids[1]=b&ids[0]=a"
+internals.toArray = (value, delimiter) => {
+  if (Array.isArray(value)) {
+    return value.reduce((memo, item) => memo.concat(internals.toArray(item, delimiter)), []);
+  }
+
+  if (typeof value === 'string') {
+    return value === '' ? [] : value.split(delimiter);
+  }
+
+  const keys = internals.isPlainObject(value) ? Object.keys(value) : [];
+  if (keys.length && keys.every((key) => internals.INDEX.test(key))) {
+    return keys
+      .sort((a, b) => a - b)
+      .map((key) => value[key]);
+  }
+
+  return [value];
+};
+
+internals.shape = (value, description, delimiter) => {
+  if (description.type === 'array') {
+    const items = description.items || [];
+    const array = internals.toArray(value, delimiter);
+    return items.length === 1
+      ? array.map((item) => internals.shape(item, items[0], delimiter))
+      : array;
+  }
+
+  if (description.type === 'object' && description.keys && internals.isPlainObject(value)) {
+    const expanded = internals.expand(value, description.keys);
+    return Object.entries(description.keys).reduce((memo, [key, child]) => {
+      if (memo[key] !== undefined) {
+        internals.assign(memo, key, internals.shape(memo[key], child, delimiter));
+      }
+      return memo;
+    }, expanded);
+  }
+
+  return value;
+};
+
+// Reshapes a parsed query string to match the schema, without touching the original value
+exports.shapeQuery = (value, schema, opts) => {
+  const { delimiter = internals.DEFAULT_DELIMITER } = opts === true ? {} : opts;
+  return internals.shape(value, internals.describe(schema), delimiter);
+};
@@ -0,0 +1,89 @@
+const HTTP = require('http');
+const EscapeHtml = require('escape-html');
+
+const internals = {
+  XML_ROOT: 'error',
+  XML_ITEM: 'item',
+};
+
+// Every failing key with its message; keys are escaped the same way as the default format's keys
+internals.failures = (err) => {
+  const failures = [];
+  err.details.forEach((joiError, segment) => {
+    if (!joiError.details) {
+      failures.push({ location: EscapeHtml(segment), message: joiError.message });
+      return;
+    }
+
+    joiError.details.forEach((detail) => {
+      failures.push({
+        location: EscapeHtml([segment, ...detail.path].join('.')),
+        message: detail.message,
+      });
+    });
+  });
+  return failures;
+};
+
+// Keys from format() may not be valid XML names, so anything outside of [\w.-] is replaced
+internals.xmlName = (key) => String(key)
+  .replace(/[^\w.-]/g, '_')
+  .replace(/^(?=[\d.-])|^$/, '_');
+
+internals.xmlNode = (key, value) => {
+  const name = internals.xmlName(key);
+  if (value === null || value === undefined) {
+    return `<${name}/>`;
+  }
+  if (Array.isArray(value)) {
+    return `<${name}>${value.map((item) => internals.xmlNode(internals.XML_ITEM, item)).join('')}</${name}>`;
+  }
+  if (typeof value === 'object') {
+    const children = Object.entries(value)
+      .filter(([, child]) => child !== undefined)
+      .map(([child, childValue]) => internals.xmlNode(child, childValue));
+    return `<${name}>${children.join('')}</${name}>`;
+  }
+  return `<${name}>${EscapeHtml(String(value))}</${name}>`;
+};
+
+// The JSON renderer sends the body from format() as is, so express serializes it
+internals.json = (body) => body;
+
+internals.xml = (body) => `<?xml version="1.0" encoding="UTF-8"?>${internals.xmlNode(internals.XML_ROOT, body)}`;
+internals.xml.contentType = 'application/xml; charset=utf-8';
+
+internals.html = (body, err, req, { statusCode }) => {
+  const title = `${statusCode} ${HTTP.STATUS_CODES[statusCode]}`;
+  const items = internals.failures(err)
+    .map(({ location, message }) => `<li><code>${location}</code> ${EscapeHtml(message)}</li>`)
+    .join('');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    `<head><meta charset="utf-8"><title>${EscapeHtml(title)}</title></head>`,
+    '<body>',
+    `<h1>${EscapeHtml(title)}</h1>`,
+    `<p>${EscapeHtml(err.message)}</p>`,
+    `<ul>${items}</ul>`,
+    '</body>',
+    '</html>',
+  ].join('\n');
+};
+internals.html.contentType = 'text/html; charset=utf-8';
+
+internals.text = (body, err, req, { statusCode }) => [
+  `${statusCode} ${HTTP.STATUS_CODES[statusCode]}`,
+  err.message,
+  ...internals.failures(err).map(({ location, message }) => `${location}: ${message}`),
+].join('\n');
+internals.text.contentType = 'text/plain; charset=utf-8';
+
+exports.renderers = {
+  'application/json': internals.json,
+  'application/xml': internals.xml,
+  'text/html': internals.html,
+  'text/plain': internals.text,
+  'text/xml': internals.xml,
+};
@@ -0,0 +1,118 @@
+const Assert = require('assert');
+
+const internals = {
+  // A named parameter as written by path-to-regexp 0.1.10 and later, or by 0.1.7 for express 4.17
+  // to 4.19
+  PARAM: /\(\?:\\\/\(\[\^\\?\/\]\+\?\)\)(\?)?|\\\/\(\?:\(\[\^\\?\/\]\+\?\)\)/g,
+  REGEXP_SYNTAX: /[.*+?^${}()|[\]]/,
+};
+
+// Express doesn't keep the path a router was mounted on. Express 4 layers have a regexp to rebuild
+// it from, unless the path used regular expression syntax, but express 5 layers only have matcher
+// functions, so only the root path is known there.
+internals.mountPath = (layer) => {
+  if (Array.isArray(layer.matchers)) {
+    return layer.slash ? '' : null;
+  }
+
+  if (!layer.regexp || layer.regexp.fast_slash) {
+    return '';
+  }
+
+  const source = layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '');
+  if (internals.REGEXP_SYNTAX.test(source.replace(internals.PARAM, '').replace(/\\./g, ''))) {
+    return null;
+  }
+
+  let index = 0;
+  return source
+    .replace(internals.PARAM, (match, optional = '') => {
+      const { name } = layer.keys[index];
+      index += 1;
+      return `/:${name}${optional}`;
+    })
+    .replace(/\\(.)/g, '$1');
+};
+
+internals.isCelebrated = (handle) => Boolean(handle && handle._schema);
+
+internals.addRoute = (routes, prefix, route, inherited) => {
+  // A route with only route.all() handlers answers every method, otherwise route.all() is
+  // middleware for the methods the route lists
+  const listed = Object.keys(route.methods).filter((method) => method !== '_all');
+  const methods = listed.length ? listed : ['_all'];
+
+  // Express allows arrays of paths, each of which can be a regular expression
+  [].concat(route.path).forEach((routePath) => {
+    // router.get('/') answers on the path the router is mounted on, without a trailing slash
+    const path = prefix && routePath === '/' ? prefix : `${prefix}${routePath}`;
+    const appliedMiddleware = inherited
+      .filter((rule) => path.startsWith(rule.prefix))
+      .map((rule) => rule.middleware);
+
+    methods.forEach((method) => {
+      const routeMiddleware = route.stack
+        .filter((layer) => internals.isCelebrated(layer.handle))
+        // Layers added with route.all() don't have a method and apply to every method
+        .filter((layer) => !layer.method || layer.method === method)
+        .map((layer) => layer.handle);
+
+      routes.push({
+        method,
+        path,
+        // Set for routes registered with an array or a regular expression
+        pattern: typeof route.path !== 'string',
+        middleware: appliedMiddleware.concat(routeMiddleware),
+      });
+    });
+  });
+};
+
+internals.walk = (stack, prefix, routes, inherited) => stack.reduce((rules, layer) => {
+  if (layer.route) {
+    internals.addRoute(routes, prefix, layer.route, rules);
+    return rules;
+  }
+
+  const isRouter = Boolean(layer.handle && Array.isArray(layer.handle.stack));
+  if (!isRouter && !internals.isCelebrated(layer.handle)) {
+    return rules;
+  }
+
+  const mountPath = internals.mountPath(layer);
+  // Listing the routes under the wrong path, or leaving them out, would hide what they validate
+  Assert.ok(mountPath !== null, 'Routers and celebrate middleware mounted on a path that uses regular expression syntax, or on any path on express 5, can\'t be listed');
+  const layerPrefix = `${prefix}${mountPath}`;
+
+  if (isRouter) {
+    internals.walk(layer.handle.stack, layerPrefix, routes, rules);
+    return rules;
+  }
+
+  return rules.concat({ prefix: layerPrefix, middleware: layer.handle });
+}, inherited);
+
+internals.stack = (app) => {
+  if (Array.isArray(app.stack)) {
+    return app.stack;
+  }
+
+  // Express 4 creates the application router lazily, so it won't exist before the first route is
+  // added, and throws when app.router is read
+  if (typeof app.lazyrouter === 'function') {
+    return app._router ? app._router.stack : [];
+  }
+
+  Assert.ok(app.router && Array.isArray(app.router.stack), '"app" must be an express app or router');
+  return app.router.stack;
+};
+
+// Every route of an express app or router, in registration order, with the celebrate
+// middleware that applies to it. The method is lower case, and "_all" for route.all()
+exports.routes = (app) => {
+  const routes = [];
+  internals.walk(internals.stack(app), '', routes, []);
+  return routes;
+};
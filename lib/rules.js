@@ -0,0 +1,50 @@
+const { METHODRULESSCHEMA } = require('./schema');
+const { segments, bodyPolicies } = require('./constants');
+
+const internals = {
+  // Methods where celebrate skips req.body unless bodyPolicy is BodyPolicies.VALIDATE
+  BODYLESS_METHODS: ['GET', 'HEAD'],
+};
+
+// The key for rules that apply to methods without their own rules
+exports.ANY_METHOD = '*';
+
+// celebrate rules can be keyed by upper case HTTP method
+exports.isMethodRules = (rules) => !METHODRULESSCHEMA.validate(rules).error;
+
+exports.isBodyless = (method) => internals.BODYLESS_METHODS.includes(String(method).toUpperCase());
+
+// Express answers HEAD requests with the GET handlers, so HEAD falls back to the GET rules
+exports.methodKey = (method, methods) => {
+  const key = String(method).toUpperCase();
+  return key === 'HEAD' && !methods.includes(key) ? 'GET' : key;
+};
+
+// The rules that apply to method, or undefined when method keyed rules have none for it
+exports.rulesFor = (celebrateRules, method) => (exports.isMethodRules(celebrateRules)
+  ? celebrateRules[exports.methodKey(method, Object.keys(celebrateRules))]
+    || celebrateRules[exports.ANY_METHOD]
+  : celebrateRules);
+
+exports.validatesSegment = (segment, method, bodyPolicy) => segment !== segments.BODY
+  || !exports.isBodyless(method)
+  || bodyPolicy === bodyPolicies.VALIDATE;
+
+// Layers each segment's joi options over the options shared by every segment
+exports.segmentJoiOpts = (joiOpts) => {
+  const segmentNames = Object.values(segments);
+  const { shared, overrides } = Object.entries(joiOpts || {})
+    .reduce((memo, [key, value]) => {
+      if (segmentNames.includes(key)) {
+        memo.overrides.set(key, value);
+      } else {
+        memo.shared[key] = value; // eslint-disable-line no-param-reassign
+      }
+      return memo;
+    }, { shared: {}, overrides: new Map() });
+
+  return segmentNames.reduce(
+    (memo, segment) => memo.set(segment, { ...shared, ...overrides.get(segment) }),
+    new Map(),
+  );
+};
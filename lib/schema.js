@@ -1,6 +1,11 @@
 const HTTP = require('http');
 const Joi = require('@hapi/joi');
-const { segments } = require('./constants');
+const {
+  segments,
+  modes,
+  responseModes,
+  bodyPolicies,
+} = require('./constants');
 
 const validStatusCodes = Object.keys(HTTP.STATUS_CODES).reduce((memo, status) => {
   const statusCode = Number(status);
@@ -17,11 +22,64 @@ exports.REQUESTSCHEMA = Joi.object({
   [segments.COOKIES]: Joi.any(),
   [segments.SIGNEDCOOKIES]: Joi.any(),
   [segments.BODY]: Joi.any(),
+  [segments.FILES]: Joi.any(),
 }).required().min(1);
 
+// Rules keyed by upper case HTTP method, or '*' for methods without their own key, each value is
+// validated against REQUESTSCHEMA
+exports.METHODRULESSCHEMA = Joi.object()
+  .pattern(Joi.string().valid(...HTTP.METHODS, '*'), Joi.object())
+  .required()
+  .min(1);
+
+// Any other key is a joi option and is left for joi to validate
+exports.JOIOPTSSCHEMA = Joi.object({
+  [segments.HEADERS]: Joi.object(),
+  [segments.PARAMS]: Joi.object(),
+  [segments.QUERY]: Joi.object(),
+  [segments.COOKIES]: Joi.object(),
+  [segments.SIGNEDCOOKIES]: Joi.object(),
+  [segments.BODY]: Joi.object(),
+  [segments.FILES]: Joi.object(),
+}).unknown().allow(null);
+
 exports.CELEBRATEOPTSSCHEMA = Joi.object({
   reqContext: Joi.boolean(),
-});
+  context: Joi.func(),
+  mode: Joi.string().valid(modes.PARTIAL, modes.FULL, modes.REPORT),
+  reporter: Joi.func().when('mode', {
+    is: modes.REPORT,
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  sampleRate: Joi.number().min(0).max(1).when('mode', {
+    not: modes.REPORT,
+    then: Joi.forbidden(),
+  }),
+  mutate: Joi.boolean(),
+  bodyPolicy: Joi.string().valid(bodyPolicies.SKIP, bodyPolicies.VALIDATE, bodyPolicies.REJECT),
+  shapeQuery: Joi.alternatives(Joi.boolean(), Joi.object({
+    delimiter: Joi.string().min(1),
+  })),
+  locales: Joi.object()
+    .pattern(Joi.string(), Joi.object().pattern(Joi.string(), Joi.string()))
+    .min(1),
+  fallbackLocale: Joi.string(),
+  warningHeader: Joi.boolean(),
+  onWarning: Joi.func(),
+  onSuccess: Joi.func(),
+  onFailure: Joi.func(),
+  onComplete: Joi.func(),
+  redact: Joi.alternatives(Joi.array().items(Joi.string()).min(1), Joi.func()),
+}).with('fallbackLocale', 'locales').oxor('reqContext', 'context');
+
+// validate() has no response to set headers on, always leaves the request untouched and
+// rejects with the validation error, so there is nothing to report
+exports.VALIDATEOPTSSCHEMA = exports.CELEBRATEOPTSSCHEMA
+  .fork(['mutate', 'warningHeader', 'reporter', 'sampleRate'], (schema) => schema.forbidden())
+  .fork('mode', (schema) => schema.invalid(modes.REPORT));
+
+exports.VALIDATEREQUESTSCHEMA = Joi.object().required();
 
 exports.SEGMENTSCHEMA = Joi.string().valid(
   segments.HEADERS,
@@ -30,12 +88,76 @@ exports.SEGMENTSCHEMA = Joi.string().valid(
   segments.COOKIES,
   segments.SIGNEDCOOKIES,
   segments.BODY,
+  segments.FILES,
 );
 
+exports.REGISTERSEGMENTSCHEMA = Joi.string().pattern(/^[A-Za-z_$][\w$]*$/).required();
+
+exports.REGISTERSEGMENTOPTSSCHEMA = Joi.object({
+  extract: Joi.func(),
+  before: Joi.string(),
+  writeBack: Joi.alternatives(Joi.boolean(), Joi.func()),
+});
+
+// Custom segments are added to the schemas that list the valid segment names
+exports.registerSegment = (name) => {
+  exports.REQUESTSCHEMA = exports.REQUESTSCHEMA.keys({ [name]: Joi.any() });
+  exports.SEGMENTSCHEMA = exports.SEGMENTSCHEMA.valid(name);
+  exports.JOIOPTSSCHEMA = exports.JOIOPTSSCHEMA.keys({ [name]: Joi.object() });
+};
+
+exports.FILESOPTSSCHEMA = Joi.object({
+  min: Joi.number().integer().min(0),
+  max: Joi.number().integer().min(1)
+    .when('min', { is: Joi.exist(), then: Joi.number().min(Joi.ref('min')) }),
+  minSize: Joi.number().integer().min(0),
+  maxSize: Joi.number().integer().min(0)
+    .when('minSize', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minSize')) }),
+  mimeTypes: Joi.array().items(Joi.string().pattern(/^[\w.+-]+\/(?:[\w.+-]+|\*)$/)).min(1),
+  filename: Joi.object().instance(RegExp),
+});
+
 exports.CELEBRATEERROROPTSSCHEMA = Joi.object({
   celebrated: Joi.boolean().default(false),
 });
 
 exports.ERRORSOPTSSCHEMA = Joi.object({
   statusCode: Joi.number().integer().valid(...validStatusCodes),
+  format: Joi.func(),
+  renderers: Joi.object({
+    'application/json': Joi.func(),
+  }).pattern(Joi.string(), Joi.func().allow(null)),
+});
+
+exports.FIXTURESOPTSSCHEMA = Joi.object({
+  method: Joi.string(),
+  context: Joi.object(),
+});
+
+exports.RESPONSESCHEMA = Joi.object()
+  .pattern(Joi.number().integer().min(100).max(599), Joi.any().required())
+  .required()
+  .min(1);
+
+exports.RESPONSEOPTSSCHEMA = Joi.object({
+  mode: Joi.string().valid(responseModes.STRICT, responseModes.LOG),
+  onError: Joi.func().when('mode', {
+    is: responseModes.LOG,
+    then: Joi.required(),
+  }),
+});
+
+exports.METRICSOPTSSCHEMA = Joi.object({
+  prefix: Joi.string().pattern(/^[a-zA-Z_:][\w:]*$/),
+  route: Joi.func(),
+});
+
+exports.OPENAPIOPTSSCHEMA = Joi.object({
+  info: Joi.object({
+    title: Joi.string().required(),
+    version: Joi.string().required(),
+  }).unknown(),
+  servers: Joi.array().items(Joi.object({
+    url: Joi.string().required(),
+  }).unknown()),
 });
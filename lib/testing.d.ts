@@ -0,0 +1,58 @@
+import { RequestHandler } from 'express';
+import { MethodSchemaOptions, SchemaOptions } from './index';
+
+/**
+ * A generated request, keyed by segment.
+ */
+export interface FixtureRequest {
+    [segment: string]: any;
+}
+
+export interface InvalidFixture {
+    /**
+     * The failing key and the joi error type, such as `'body.email string.email'`.
+     */
+    label: string;
+    /**
+     * The segment that fails validation.
+     */
+    segment: string;
+    /**
+     * The dot separated path of the failing key.
+     */
+    key: string;
+    /**
+     * The joi error type this request triggers.
+     */
+    type: string;
+    request: FixtureRequest;
+}
+
+export interface FixturesOptions {
+    /**
+     * The HTTP method used to pick rules keyed by method. Defaults to `'GET'`.
+     */
+    method?: string;
+    /**
+     * The joi `context` used while checking the generated values.
+     */
+    context?: object;
+}
+
+/**
+ * Generates a valid request and invalid variants from celebrate rules or a celebrate middleware.
+ */
+export declare function fixtures(rules: SchemaOptions | MethodSchemaOptions | RequestHandler, opts?: FixturesOptions): {
+    valid: FixtureRequest;
+    invalid: InvalidFixture[];
+};
+
+/**
+ * Fills in the params of an express style path such as `'/users/:id'`.
+ */
+export declare function path(template: string, params?: { [name: string]: any }): string;
+
+/**
+ * Sets the query, headers, cookies and body of a generated request on a supertest request.
+ */
+export declare function apply<T>(test: T, request: FixtureRequest): T;
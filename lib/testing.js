@@ -0,0 +1,381 @@
+const Joi = require('@hapi/joi');
+const { FIXTURESOPTSSCHEMA } = require('./schema');
+const { segments } = require('./constants');
+const { rulesFor, segmentJoiOpts, validatesSegment } = require('./rules');
+
+const internals = {
+  DEFAULT_FIXTURES_OPTS: {
+    method: 'GET',
+  },
+  // Everything but the body reaches the server as strings
+  STRING_SEGMENTS: [
+    segments.HEADERS,
+    segments.PARAMS,
+    segments.QUERY,
+    segments.COOKIES,
+    segments.SIGNEDCOOKIES,
+  ],
+  STRING: 'value',
+  INVALID_STRING: 'invalid value!',
+  UNKNOWN_KEY: 'celebrateUnknownKey',
+  STRING_FORMATS: {
+    base64: 'dmFsdWU=',
+    creditCard: '4242424242424242',
+    domain: 'example.com',
+    email: 'user@example.com',
+    guid: '3b241101-e2bb-4255-8caf-4136c566a962',
+    hex: 'abcdef',
+    hostname: 'example.com',
+    ip: '127.0.0.1',
+    isoDate: '2020-01-01T00:00:00.000Z',
+    isoDuration: 'P1D',
+    uri: 'https://example.com',
+  },
+  DATE: '2020-01-01T00:00:00.000Z',
+  PORT: 8080,
+  // A wrong type for each joi type; numbers sent as text are strings again, so those are dropped
+  INVALID_TYPES: {
+    array: 'not an array',
+    boolean: 'not a boolean',
+    date: 'not a date',
+    number: 'not a number',
+    object: 'not an object',
+    string: 123,
+  },
+};
+
+// Rules and limits that are joi references can't be resolved ahead of time
+internals.limits = (description) => (description.rules || [])
+  .reduce((memo, { name, args = {} }) => {
+    if (!('limit' in args) || typeof args.limit === 'number') {
+      memo.set(name, args);
+    }
+    return memo;
+  }, new Map());
+
+internals.allowed = (description) => (description.allow || [])
+  .filter((value) => value !== null && typeof value !== 'object');
+
+internals.string = (description, rules) => {
+  const format = Object.keys(internals.STRING_FORMATS).find((name) => rules.has(name));
+  let value = format ? internals.STRING_FORMATS[format] : internals.STRING;
+
+  if (!format) {
+    const { limit: min = 0 } = rules.get('min') || rules.get('length') || {};
+    const { limit: max = Infinity } = rules.get('max') || rules.get('length') || {};
+    value = value.padEnd(min, 'x').slice(0, max);
+  }
+
+  const { direction } = rules.get('case') || {};
+  return direction === 'upper' ? value.toUpperCase() : value;
+};
+
+internals.number = (description, rules) => {
+  const lower = [
+    rules.has('min') && rules.get('min').limit,
+    rules.has('greater') && rules.get('greater').limit + 1,
+    rules.has('sign') && rules.get('sign').sign === 'positive' && 1,
+  ].filter((limit) => typeof limit === 'number');
+  const upper = [
+    rules.has('max') && rules.get('max').limit,
+    rules.has('less') && rules.get('less').limit - 1,
+    rules.has('sign') && rules.get('sign').sign === 'negative' && -1,
+  ].filter((limit) => typeof limit === 'number');
+
+  let value = rules.has('port') ? internals.PORT : 1;
+  if (lower.length) {
+    value = Math.max(...lower);
+  } else if (upper.length) {
+    value = Math.min(value, ...upper);
+  }
+
+  if (rules.has('multiple')) {
+    const { base } = rules.get('multiple');
+    value = Math.ceil(value / base) * base;
+  }
+
+  return rules.has('integer') ? Math.ceil(value) : value;
+};
+
+// Builds a value that passes the described schema
+internals.generate = (description) => {
+  const rules = internals.limits(description);
+  const { flags = {}, type } = description;
+
+  if (description.examples && description.examples.length) {
+    return description.examples[0];
+  }
+
+  const allowed = internals.allowed(description);
+  if (flags.only && allowed.length) {
+    return allowed[0];
+  }
+
+  if (type === 'string') {
+    return internals.string(description, rules);
+  }
+
+  if (type === 'number') {
+    return internals.number(description, rules);
+  }
+
+  if (type === 'boolean') {
+    return true;
+  }
+
+  if (type === 'date') {
+    return internals.DATE;
+  }
+
+  if (type === 'object') {
+    return Object.entries(description.keys || {})
+      .filter(([, value]) => !value.flags || value.flags.presence !== 'forbidden')
+      .reduce((memo, [key, value]) => ({ ...memo, [key]: internals.generate(value) }), {});
+  }
+
+  if (type === 'array') {
+    const { limit = 1 } = rules.get('length') || rules.get('min') || {};
+    const [items] = description.items || [];
+    return Array.from({ length: limit }, () => (items
+      ? internals.generate(items)
+      : internals.STRING));
+  }
+
+  if (type === 'alternatives') {
+    const [match] = description.matches;
+    return internals.generate(match.schema || match.then);
+  }
+
+  return internals.STRING;
+};
+
+internals.prefix = (key, variants) => variants
+  .map((variant) => ({ ...variant, path: [key, ...variant.path] }));
+
+// Candidate values that each break one rule; whether they really fail is checked against joi
+internals.variants = (description) => {
+  const rules = internals.limits(description);
+  const { flags = {}, type } = description;
+  const variants = [];
+  const add = (value) => variants.push({ path: [], value });
+
+  if (type in internals.INVALID_TYPES) {
+    add(internals.INVALID_TYPES[type]);
+  }
+
+  if (flags.only) {
+    const numbers = internals.allowed(description).filter((value) => typeof value === 'number');
+    add(numbers.length ? Math.max(...numbers) + 1 : internals.INVALID_STRING);
+  }
+
+  if (type === 'string') {
+    ['min', 'length'].filter((name) => rules.has(name) && rules.get(name).limit > 0)
+      .forEach((name) => add('x'.repeat(rules.get(name).limit - 1)));
+    ['max', 'length'].filter((name) => rules.has(name))
+      .forEach((name) => add('x'.repeat(rules.get(name).limit + 1)));
+    if (Array.from(rules.keys()).some((name) => internals.STRING_FORMATS[name] || name === 'pattern')) {
+      add(internals.INVALID_STRING);
+    }
+  }
+
+  if (type === 'number') {
+    const value = internals.generate(description);
+    ['min', 'greater'].filter((name) => rules.has(name))
+      .forEach((name) => add(rules.get(name).limit - (name === 'min' ? 1 : 0)));
+    ['max', 'less'].filter((name) => rules.has(name))
+      .forEach((name) => add(rules.get(name).limit + (name === 'max' ? 1 : 0)));
+    if (rules.has('integer')) {
+      add(value + 0.5);
+    }
+    if (rules.has('sign')) {
+      add(-value);
+    }
+    if (rules.has('port')) {
+      add(65536);
+    }
+    if (rules.has('multiple')) {
+      add(value + rules.get('multiple').base / 2);
+    }
+  }
+
+  if (type === 'object') {
+    Object.entries(description.keys || {}).forEach(([key, value]) => {
+      const presence = value.flags && value.flags.presence;
+      if (presence === 'required') {
+        variants.push({ path: [key], remove: true });
+      }
+      if (presence === 'forbidden') {
+        variants.push({ path: [key], value: internals.STRING });
+        return;
+      }
+      variants.push(...internals.prefix(key, internals.variants(value)));
+    });
+
+    if (description.keys && flags.unknown !== true) {
+      variants.push({ path: [internals.UNKNOWN_KEY], value: internals.STRING });
+    }
+  }
+
+  if (type === 'array') {
+    const items = internals.generate(description);
+    if (rules.has('min') && rules.get('min').limit > 0) {
+      add(items.slice(1));
+    }
+    ['max', 'length'].filter((name) => rules.has(name))
+      .forEach((name) => add(Array.from({ length: rules.get(name).limit + 1 }, () => items[0])));
+    if (description.items && items.length) {
+      variants.push(...internals.prefix(0, internals.variants(description.items[0])));
+    }
+  }
+
+  return variants;
+};
+
+internals.clone = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(internals.clone);
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .reduce((memo, [key, child]) => ({ ...memo, [key]: internals.clone(child) }), {});
+  }
+  return value;
+};
+
+internals.mutate = (value, { path, remove, value: replacement }) => {
+  const result = internals.clone(value);
+  const parent = path.slice(0, -1).reduce((memo, key) => memo[key], result);
+  const key = path[path.length - 1];
+  if (remove) {
+    delete parent[key];
+  } else {
+    parent[key] = replacement;
+  }
+  return result;
+};
+
+// Mirrors what a server receives: text segments have every scalar turned into a string
+internals.serialize = (segment, value) => {
+  if (!internals.STRING_SEGMENTS.includes(segment)) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => internals.serialize(segment, item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .reduce((memo, [key, child]) => ({
+        ...memo,
+        [key]: internals.serialize(segment, child),
+      }), {});
+  }
+  return String(value);
+};
+
+// A segment is always sent as an object, and params can only change their values, not their keys
+internals.sendable = (segment, { path, remove }) => path.length > 0
+  && !(segment === segments.PARAMS
+    && path.length === 1
+    && (remove || path[0] === internals.UNKNOWN_KEY));
+
+exports.fixtures = (rules, opts = {}) => {
+  const isMiddleware = typeof rules === 'function';
+  const celebrateRules = isMiddleware ? rules._schema : rules;
+  Joi.assert(celebrateRules, Joi.object().required().label('rules'));
+  Joi.assert(opts, FIXTURESOPTSSCHEMA);
+
+  const { method, context } = { ...internals.DEFAULT_FIXTURES_OPTS, ...opts };
+  const joiOptsBySegment = segmentJoiOpts(isMiddleware ? rules._joiOpts : {});
+  const { bodyPolicy } = (isMiddleware && rules._opts) || {};
+  const requestRules = Object.entries(rulesFor(celebrateRules, method) || {})
+    .filter(([segment]) => validatesSegment(segment, method, bodyPolicy));
+
+  const checks = requestRules.map(([segment, rule]) => {
+    const schema = Joi.compile(rule);
+    const prefs = {
+      ...joiOptsBySegment.get(segment),
+      context,
+      externals: false,
+    };
+    return {
+      segment,
+      description: schema.describe(),
+      validate: (value) => schema.validate(value, prefs).error,
+    };
+  });
+
+  const valid = checks.reduce((memo, { segment, description, validate }) => {
+    const value = internals.serialize(segment, internals.generate(description));
+    const error = validate(value);
+    if (error) {
+      throw new Error(`Unable to generate a valid ${segment}: ${error.message}. Add an example() to the schema.`);
+    }
+    return { ...memo, [segment]: value };
+  }, {});
+
+  const seen = new Set();
+  const invalid = checks.reduce((memo, { segment, description, validate }) => internals
+    .variants(description)
+    .filter((variant) => internals.sendable(segment, variant))
+    .reduce((fixtures, variant) => {
+      const value = internals.serialize(segment, internals.mutate(valid[segment], variant));
+      const error = validate(value);
+      if (!error) {
+        return fixtures;
+      }
+
+      const [{ path, type }] = error.details;
+      const key = path.join('.');
+      const label = `${[segment, key].filter(Boolean).join('.')} ${type}`;
+      if (seen.has(label)) {
+        return fixtures;
+      }
+
+      seen.add(label);
+      return fixtures.concat({
+        label,
+        segment,
+        key,
+        type,
+        request: { ...valid, [segment]: value },
+      });
+    }, memo), []);
+
+  return { valid, invalid };
+};
+
+// Fills in an express style path such as "/users/:id" with the generated params
+exports.path = (template, params = {}) => template
+  .replace(/:(\w+)\??/g, (match, name) => (name in params
+    ? encodeURIComponent(params[name])
+    : match));
+
+// supertest sends a one item array as a plain value, so arrays and objects use the bracket
+// notation of the qs module that express and restify parse queries with
+internals.queryString = (value, prefix) => {
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, child]) => internals.queryString(child, prefix ? `${prefix}[${key}]` : key))
+      .join('&');
+  }
+  return `${encodeURIComponent(prefix)}=${encodeURIComponent(value)}`;
+};
+
+// Sets the generated query, headers, cookies and body on a supertest request
+exports.apply = (test, request) => {
+  if (request[segments.QUERY]) {
+    test.query(internals.queryString(request[segments.QUERY]));
+  }
+  if (request[segments.HEADERS]) {
+    test.set(request[segments.HEADERS]);
+  }
+  if (request[segments.COOKIES]) {
+    test.set('Cookie', Object.entries(request[segments.COOKIES])
+      .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+      .join('; '));
+  }
+  if (request[segments.BODY] !== undefined) {
+    test.send(request[segments.BODY]);
+  }
+  return test;
+};
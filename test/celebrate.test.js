@@ -1,4 +1,5 @@
 /* eslint-env jest */
+const Assert = require('assert');
 const expect = require('expect');
 const {
   name, random, date, internet,
@@ -10,6 +11,14 @@ const {
   isCelebrate,
   CelebrateError,
   Segments,
+  Modes,
+  ResponseModes,
+  celebrateResponse,
+  problemDetails,
+  registerSegment,
+  BodyPolicies,
+  validate,
+  getContext,
 } = require('../lib');
 
 describe('celebrate()', () => {
@@ -84,6 +93,152 @@ describe('celebrate()', () => {
     });
   });
 
+  it('collects errors from every segment in full mode', () => {
+    expect.assertions(6);
+    const middleware = celebrate({
+      [Segments.HEADERS]: {
+        accept: Joi.string().regex(/xml/),
+      },
+      [Segments.PARAMS]: {
+        id: Joi.string().required(),
+      },
+      [Segments.QUERY]: Joi.object().keys({
+        start: Joi.date(),
+      }),
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+      },
+    }, null, {
+      mode: Modes.FULL,
+    });
+
+    return middleware({
+      [Segments.HEADERS]: {
+        accept: 'application/json',
+      },
+      [Segments.PARAMS]: {
+        id: random.alphaNumeric(10),
+      },
+      [Segments.QUERY]: {
+        end: random.boolean(),
+      },
+      [Segments.BODY]: {
+        last: name.lastName(),
+      },
+      method: 'POST',
+    }, null, (err) => {
+      expect(isCelebrate(err)).toBe(true);
+      expect(err.meta).toEqual({ source: Segments.HEADERS, mode: Modes.FULL });
+      expect(err.joi.details[0].message).toBe('"accept" with value "application/json" fails to match the required pattern: /xml/');
+      expect(Array.from(err.details.keys())).toEqual([
+        Segments.HEADERS,
+        Segments.QUERY,
+        Segments.BODY,
+      ]);
+      expect(err.details.get(Segments.BODY).details[0].message).toBe('"first" is required');
+      expect(err.message).toBe('"accept" with value "application/json" fails to match the required pattern: /xml/. "end" is not allowed. "first" is required');
+    });
+  });
+
+  it('applies joi transforms in full mode when every segment is valid', () => {
+    expect.assertions(3);
+    const req = {
+      [Segments.PARAMS]: {
+        id: 'adam',
+      },
+      [Segments.BODY]: {
+        first: 'john',
+      },
+      method: 'POST',
+    };
+    const middleware = celebrate({
+      [Segments.PARAMS]: {
+        id: Joi.string().uppercase(),
+      },
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+        role: Joi.string().default('admin'),
+      },
+    }, null, {
+      mode: Modes.FULL,
+    });
+
+    return middleware(req, null, (err) => {
+      expect(err).toBe(null);
+      expect(req.params).toEqual({ id: 'ADAM' });
+      expect(req.body).toEqual({ first: 'john', role: 'admin' });
+    });
+  });
+
+  it('throws an error for an unknown mode', () => {
+    expect(() => celebrate({
+      [Segments.BODY]: Joi.any(),
+    }, null, { mode: 'sometimes' })).toThrow(Joi.ValidationError);
+  });
+
+  describe.each`
+    header | message
+    ${'fr-CA,fr;q=0.9,en;q=0.8'} | ${'"first" est requis'}
+    ${'de;q=0.5, en-US;q=0.7'} | ${'"first" is required'}
+    ${'es;q=0.2, pt-BR'} | ${'"first" es obligatorio'}
+    ${'en;q=0, it'} | ${'"first" is required'}
+    ${'pt, it, fr'} | ${'"first" es obligatorio'}
+    ${'*'} | ${'"first" is required'}
+    ${'ja, *;q=0.1'} | ${'"first" is required'}
+    ${undefined} | ${'"first" is required'}
+    `('localized messages', ({ header, message }) => {
+  it(`negotiates Accept-Language: ${header}`, () => {
+    expect.assertions(2);
+    const middleware = celebrate({
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+      },
+    }, null, {
+      locales: {
+        fr: { 'any.required': '{{#label}} est requis' },
+        'pt-BR': { 'any.required': '{{#label}} es obligatorio' },
+        'en-US': { 'any.required': '{{#label}} is required' },
+      },
+      fallbackLocale: 'en-US',
+    });
+
+    return middleware({
+      headers: { 'accept-language': header },
+      [Segments.BODY]: {},
+      method: 'POST',
+    }, null, (err) => {
+      expect(isCelebrate(err)).toBe(true);
+      expect(err.joi.details[0].message).toBe(message);
+    });
+  });
+});
+
+  it('uses the default joi messages when no locale matches and there is no fallback', () => {
+    expect.assertions(1);
+    const middleware = celebrate({
+      [Segments.QUERY]: {
+        page: Joi.number(),
+      },
+    }, null, {
+      locales: {
+        fr: { 'number.base': '{{#label}} doit être un nombre' },
+      },
+    });
+
+    return middleware({
+      headers: { 'accept-language': 'en' },
+      [Segments.QUERY]: { page: 'one' },
+    }, null, (err) => {
+      expect(err.joi.details[0].message).toBe('"page" must be a number');
+    });
+  });
+
+  it('throws an error for a fallback locale without locales', () => {
+    expect(() => celebrate({
+      [Segments.BODY]: Joi.any(),
+    }, null, { fallbackLocale: 'en' })).toThrow(Joi.ValidationError);
+  });
+
   it('applys any joi transorms back to the object', () => {
     const first = name.firstName();
     const last = name.lastName();
@@ -126,6 +281,47 @@ describe('celebrate()', () => {
     });
   });
 
+  it('stores validated values on req.celebrate when mutate is false', () => {
+    expect.assertions(4);
+    const headers = {
+      accept: 'application/json',
+      'x-forwarded-for': internet.ip(),
+    };
+    const body = {
+      first: 'john',
+    };
+    const req = {
+      headers,
+      [Segments.BODY]: body,
+      celebrate: {
+        [Segments.PARAMS]: { id: 1 },
+      },
+      method: 'POST',
+    };
+    const middleware = celebrate({
+      [Segments.HEADERS]: Joi.object({
+        accept: Joi.string(),
+      }).options({ stripUnknown: true }),
+      [Segments.BODY]: {
+        first: Joi.string().uppercase(),
+        role: Joi.string().default('admin'),
+      },
+    }, null, {
+      mutate: false,
+    });
+
+    return middleware(req, null, (err) => {
+      expect(err).toBe(null);
+      expect(req.headers).toBe(headers);
+      expect(req.body).toEqual({ first: 'john' });
+      expect(req.celebrate).toEqual({
+        [Segments.PARAMS]: { id: 1 },
+        [Segments.HEADERS]: { accept: 'application/json' },
+        [Segments.BODY]: { first: 'JOHN', role: 'admin' },
+      });
+    });
+  });
+
   it('does not validate req.body if the method is "GET" or "HEAD"', () => {
     expect.assertions(1);
     const middleware = celebrate({
@@ -147,6 +343,129 @@ describe('celebrate()', () => {
     });
   });
 
+  describe.each`
+    method | policy | body | message
+    ${'GET'} | ${BodyPolicies.SKIP} | ${{ first: 1 }} | ${null}
+    ${'GET'} | ${BodyPolicies.VALIDATE} | ${{ first: 1 }} | ${'"first" must be a string'}
+    ${'HEAD'} | ${BodyPolicies.VALIDATE} | ${{ first: 'john' }} | ${null}
+    ${'GET'} | ${BodyPolicies.REJECT} | ${{ first: 'john' }} | ${'"body" is not allowed'}
+    ${'HEAD'} | ${BodyPolicies.REJECT} | ${{}} | ${null}
+    ${'GET'} | ${BodyPolicies.REJECT} | ${''} | ${null}
+    ${'GET'} | ${BodyPolicies.REJECT} | ${undefined} | ${null}
+    ${'POST'} | ${BodyPolicies.REJECT} | ${{ first: 1 }} | ${'"first" must be a string'}
+    `('bodyPolicy', ({
+  method, policy, body, message,
+}) => {
+  it(`handles a ${method} body with the ${policy} policy`, () => {
+    expect.assertions(1);
+    const middleware = celebrate({
+      [Segments.BODY]: {
+        first: Joi.string(),
+      },
+    }, null, {
+      bodyPolicy: policy,
+    });
+
+    return middleware({
+      [Segments.BODY]: body,
+      method,
+    }, null, (err) => {
+      expect(err ? err.joi.details[0].message : null).toBe(message);
+    });
+  });
+});
+
+  it('rejects unexpected bodies without body rules', () => {
+    expect.assertions(3);
+    const middleware = celebrate({
+      [Segments.QUERY]: {
+        q: Joi.string(),
+      },
+    }, null, {
+      bodyPolicy: BodyPolicies.REJECT,
+    });
+    const getNext = jest.fn();
+    const postNext = jest.fn();
+
+    return Promise.all([
+      middleware({ [Segments.BODY]: { q: 'john' }, method: 'GET' }, null, getNext),
+      middleware({ [Segments.BODY]: { q: 'john' }, method: 'POST' }, null, postNext),
+    ]).then(() => {
+      expect(isCelebrate(getNext.mock.calls[0][0])).toBe(true);
+      expect(getNext.mock.calls[0][0].meta.source).toBe(Segments.BODY);
+      expect(postNext).toHaveBeenCalledWith(null);
+    });
+  });
+
+  it('throws an error for an unknown body policy', () => {
+    expect(() => celebrate({
+      [Segments.BODY]: Joi.any(),
+    }, null, { bodyPolicy: 'sometimes' })).toThrow(Joi.ValidationError);
+  });
+
+  it('uses the rules for the request method', () => {
+    expect.assertions(4);
+    const middleware = celebrate({
+      GET: {
+        [Segments.QUERY]: {
+          q: Joi.string().required(),
+        },
+      },
+      DELETE: {
+        [Segments.BODY]: {
+          reason: Joi.string().required(),
+        },
+      },
+    }, null, {
+      bodyPolicy: BodyPolicies.VALIDATE,
+    });
+    const getNext = jest.fn();
+    const deleteNext = jest.fn();
+    const postNext = jest.fn();
+
+    return Promise.all([
+      middleware({ [Segments.QUERY]: {}, method: 'get' }, null, getNext),
+      middleware({ [Segments.QUERY]: {}, [Segments.BODY]: {}, method: 'DELETE' }, null, deleteNext),
+      middleware({ [Segments.QUERY]: {}, [Segments.BODY]: {}, method: 'POST' }, null, postNext),
+    ]).then(() => {
+      expect(getNext.mock.calls[0][0].joi.details[0].message).toBe('"q" is required');
+      expect(deleteNext.mock.calls[0][0].joi.details[0].message).toBe('"reason" is required');
+      expect(postNext).toHaveBeenCalledWith(null);
+      expect(postNext).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('uses the GET rules for HEAD requests without HEAD rules', () => {
+    expect.assertions(2);
+    const getRules = celebrate({
+      GET: { [Segments.QUERY]: { id: Joi.number().required() } },
+    });
+    const headRules = celebrate({
+      GET: { [Segments.QUERY]: { id: Joi.number().required() } },
+      HEAD: { [Segments.QUERY]: { id: Joi.number() } },
+    });
+    const getNext = jest.fn();
+    const headNext = jest.fn();
+
+    return Promise.all([
+      getRules({ [Segments.QUERY]: {}, method: 'HEAD' }, null, getNext),
+      headRules({ [Segments.QUERY]: {}, method: 'HEAD' }, null, headNext),
+    ]).then(() => {
+      expect(getNext.mock.calls[0][0].joi.details[0].message).toBe('"id" is required');
+      expect(headNext).toHaveBeenCalledWith(null);
+    });
+  });
+
+  it('throws an error for invalid rules in method keyed rules', () => {
+    expect(() => celebrate({
+      GET: { foo: Joi.string() },
+    })).toThrow(Joi.ValidationError);
+    expect(() => celebrate({
+      GET: { [Segments.QUERY]: Joi.object() },
+      [Segments.BODY]: Joi.object(),
+    })).toThrow(Joi.ValidationError);
+  });
+
   it('works with Joi.extend()', () => {
     expect.assertions(2);
     const f = Joi.extend((joi) => ({
@@ -203,6 +522,57 @@ describe('celebrate()', () => {
     });
   });
 
+  it('layers per-segment Joi options over the shared options', () => {
+    expect.assertions(4);
+    const middleware = celebrate({
+      [Segments.HEADERS]: {
+        accept: Joi.string(),
+      },
+      [Segments.QUERY]: {
+        page: Joi.number(),
+      },
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+        last: Joi.string().required(),
+      },
+    }, {
+      abortEarly: false,
+      convert: false,
+      [Segments.HEADERS]: { allowUnknown: true },
+      [Segments.QUERY]: { convert: true },
+      [Segments.BODY]: { stripUnknown: true },
+    });
+    const req = {
+      [Segments.HEADERS]: {
+        accept: 'application/json',
+        host: internet.domainName(),
+      },
+      [Segments.QUERY]: {
+        page: '2',
+      },
+      [Segments.BODY]: {
+        role: 'admin',
+      },
+      method: 'POST',
+    };
+
+    return middleware(req, null, (err) => {
+      expect(isCelebrate(err)).toBe(true);
+      expect(err.meta.source).toBe(Segments.BODY);
+      expect(err.joi.details.map(({ message }) => message)).toEqual([
+        '"first" is required',
+        '"last" is required',
+      ]);
+      expect(req.query).toEqual({ page: 2 });
+    });
+  });
+
+  it('throws an error for per-segment Joi options that are not objects', () => {
+    expect(() => celebrate({
+      [Segments.BODY]: Joi.any(),
+    }, { [Segments.BODY]: true })).toThrow(Joi.ValidationError);
+  });
+
   it('honors the escapeHtml Joi option', () => {
     expect.assertions(2);
     const middleware = celebrate({
@@ -270,100 +640,1138 @@ describe('celebrate()', () => {
       expect(err.joi.details[0].message).toBe('"id" must be [ref:global:params.userId]');
     });
   });
-});
 
-describe('errors()', () => {
-  it('responds with a joi error from celebrate middleware', () => {
+  it('writes back over getter-based request properties', () => {
     expect.assertions(3);
-    const middleware = celebrate({
+    const schema = {
       [Segments.QUERY]: {
-        role: Joi.number().integer().min(4),
-      },
-    });
-    const handler = errors();
-    const next = jest.fn();
-    const res = {
-      send(statusCode, err) {
-        expect(statusCode).toBe(400);
-        expect(err).toMatchSnapshot();
-        expect(next).not.toHaveBeenCalled();
+        page: Joi.number().default(1),
       },
     };
-
-    return middleware({
-      [Segments.QUERY]: {
-        role: random.number({ min: 0, max: 3 }),
+    // Express 5 parses the query string in a getter on the request prototype
+    const req = Object.create({
+      get query() {
+        return {};
       },
-      method: 'GET',
-    }, null, (err) => {
-      handler(err, undefined, res, next);
+    }, {
+      method: { value: 'GET' },
+    });
+
+    return celebrate(schema)(req, null, (err) => {
+      expect(err).toBe(null);
+      expect(req.query).toEqual({ page: 1 });
+      return celebrate(schema)(req, null, () => {
+        expect(req.query).toEqual({ page: 1 });
+      });
     });
   });
 
-  it('passes the error through next if not a joi error from celebrate middleware', () => {
-    const handler = errors();
-    const res = {
-      status() {
-        throw Error('status called');
-      },
-    };
+  describe('synchronous validation', () => {
+    it('validates schemas without externals in a single pass', () => {
+      expect.assertions(2);
+      const middleware = celebrate({
+        [Segments.QUERY]: {
+          page: Joi.number(),
+        },
+        [Segments.BODY]: {
+          first: Joi.string().uppercase(),
+        },
+      });
+      const req = {
+        method: 'POST',
+        query: { page: '1' },
+        body: { first: 'john' },
+      };
 
-    const schema = Joi.object({
-      role: Joi.number().integer().min(4),
+      const validated = middleware(req, null, (err) => {
+        expect(err).toBeNull();
+      });
+      expect(req).toEqual({ method: 'POST', query: { page: 1 }, body: { first: 'JOHN' } });
+      return validated;
     });
 
-    const { error } = schema.validate({
-      role: random.word(),
+    it('waits for schemas with nested externals', () => {
+      expect.assertions(3);
+      const middleware = celebrate({
+        [Segments.BODY]: {
+          items: Joi.array().items(Joi.object({
+            sku: Joi.string().external((sku) => Promise.resolve(sku.toUpperCase())),
+          })),
+        },
+      });
+      const req = {
+        method: 'POST',
+        body: { items: [{ sku: 'abc' }] },
+      };
+
+      const validated = middleware(req, null, (err) => {
+        expect(err).toBeNull();
+        expect(req.body).toEqual({ items: [{ sku: 'ABC' }] });
+      });
+      expect(req.body).toEqual({ items: [{ sku: 'abc' }] });
+      return validated;
     });
 
-    handler(error, undefined, res, (e) => {
-      expect(e).toEqual(error);
+    it('uses req as the context for externals with reqContext', () => {
+      expect.assertions(1);
+      const middleware = celebrate({
+        [Segments.QUERY]: {
+          role: Joi.string().external(() => {
+            expect(getContext()).toHaveProperty('user', 'adam');
+          }),
+        },
+        [Segments.BODY]: {
+          first: Joi.string(),
+        },
+      }, null, {
+        reqContext: true,
+      });
+
+      return middleware({
+        method: 'GET',
+        user: 'adam',
+        query: { role: 'admin' },
+        body: { first: 1 },
+      }, null, () => {});
     });
   });
 
-  it('only includes key values if joi returns details', () => {
-    expect.assertions(3);
-    const middleware = celebrate({
-      [Segments.BODY]: {
-        first: Joi.string().required(),
-      },
+  describe('context', () => {
+    it('validates against the value returned by the context option', () => {
+      expect.assertions(3);
+      const context = jest.fn(() => ({ tenant: { maxItems: 2 } }));
+      const middleware = celebrate({
+        [Segments.BODY]: {
+          items: Joi.array().max(Joi.ref('$tenant.maxItems')),
+        },
+      }, { context: { tenant: { maxItems: 10 } } }, { context });
+      const req = {
+        method: 'POST',
+        body: { items: [1, 2, 3] },
+      };
+      const res = {};
+
+      return middleware(req, res, (err) => {
+        expect(context).toHaveBeenCalledWith(req, res);
+        expect(isCelebrate(err)).toBe(true);
+        expect(err.message).toBe('"items" must contain less than or equal to ref:global:tenant.maxItems items');
+      });
     });
-    const handler = errors();
-    const next = jest.fn();
-    const res = {
-      send(statusCode, err) {
-        expect(statusCode).toBe(400);
-        expect(err).toMatchSnapshot();
-        expect(next).not.toHaveBeenCalled();
-      },
-    };
 
-    return middleware({
-      [Segments.BODY]: {
-        role: random.word(),
-      },
-      method: 'POST',
+    it('waits for a context promise', () => {
+      expect.assertions(1);
+      const middleware = celebrate({
+        [Segments.BODY]: {
+          priority: Joi.when('$user.role', { is: 'admin', then: Joi.number(), otherwise: Joi.forbidden() }),
+        },
+      }, null, {
+        context: (req) => Promise.resolve({ user: req.user }),
+      });
+
+      return middleware({
+        method: 'POST',
+        user: { role: 'admin' },
+        body: { priority: '1' },
+      }, null, (err) => {
+        expect(err).toBeNull();
+      });
+    });
+
+    it('exposes the context to externals through getContext()', () => {
+      expect.assertions(3);
+      const db = { has: jest.fn((sku) => Promise.resolve(sku === 'known')) };
+      const middleware = celebrate({
+        [Segments.BODY]: {
+          sku: Joi.string().external((sku) => getContext().db.has(sku).then((found) => {
+            if (!found) {
+              throw new Error('unknown product');
+            }
+          })),
+        },
+      }, null, {
+        context: () => ({ db }),
+      });
+
+      return Promise.all([
+        middleware({ method: 'POST', body: { sku: 'known' } }, null, (err) => {
+          expect(err).toBeNull();
+        }),
+        middleware({ method: 'POST', body: { sku: 'other' } }, null, (err) => {
+          expect(isCelebrate(err)).toBe(true);
+        }),
+      ]).then(() => {
+        expect(getContext()).toBeUndefined();
+      });
+    });
+
+    it('passes context errors to next without calling the lifecycle hooks', () => {
+      expect.assertions(2);
+      const error = new Error('no tenant');
+      const onComplete = jest.fn();
+      const middleware = celebrate({
+        [Segments.BODY]: {
+          first: Joi.string(),
+        },
+      }, null, {
+        context: () => { throw error; },
+        onComplete,
+      });
+
+      return middleware({ method: 'POST', body: {} }, null, (err) => {
+        expect(err).toBe(error);
+        expect(onComplete).not.toHaveBeenCalled();
+      });
+    });
+
+    it('cannot be combined with reqContext', () => {
+      expect(() => celebrate({
+        [Segments.BODY]: {
+          first: Joi.string(),
+        },
+      }, null, {
+        reqContext: true,
+        context: () => ({}),
+      })).toThrow('"value" contains a conflict between optional exclusive peers [reqContext, context]');
+    });
+  });
+
+  describe('lifecycle hooks', () => {
+    const schema = {
+      [Segments.QUERY]: {
+        page: Joi.number(),
+      },
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+      },
+    };
+
+    it('calls onSuccess and onComplete with per-segment timings', () => {
+      expect.assertions(6);
+      const onSuccess = jest.fn();
+      const onFailure = jest.fn();
+      const onComplete = jest.fn();
+      const middleware = celebrate(schema, null, { onSuccess, onFailure, onComplete });
+      const req = {
+        method: 'POST',
+        [Segments.QUERY]: { page: '1' },
+        [Segments.BODY]: { first: 'john' },
+      };
+      const res = {};
+
+      return middleware(req, res, () => {
+        const [, , stats] = onSuccess.mock.calls[0];
+        expect(onSuccess).toHaveBeenCalledWith(req, res, stats);
+        expect(onFailure).not.toHaveBeenCalled();
+        expect(onComplete).toHaveBeenCalledWith(null, req, res, stats);
+        expect(Array.from(stats.timings.keys())).toEqual([Segments.QUERY, Segments.BODY]);
+        expect(stats.timings.get(Segments.BODY)).toBeGreaterThanOrEqual(0);
+        expect(stats.duration).toBeGreaterThanOrEqual(stats.timings.get(Segments.BODY));
+      });
+    });
+
+    it('calls onFailure and onComplete with the error', () => {
+      expect.assertions(5);
+      const onSuccess = jest.fn();
+      const onFailure = jest.fn();
+      const onComplete = jest.fn();
+      const middleware = celebrate(schema, null, { onSuccess, onFailure, onComplete });
+      const req = {
+        method: 'POST',
+        [Segments.QUERY]: { page: 'one' },
+        [Segments.BODY]: { first: 'john' },
+      };
+
+      return middleware(req, null, (err) => {
+        const [, , , stats] = onFailure.mock.calls[0];
+        expect(onFailure).toHaveBeenCalledWith(err, req, null, stats);
+        expect(onSuccess).not.toHaveBeenCalled();
+        expect(onComplete).toHaveBeenCalledWith(err, req, null, stats);
+        expect(err.meta.source).toBe(Segments.QUERY);
+        // Partial mode stops at the failing segment
+        expect(Array.from(stats.timings.keys())).toEqual([Segments.QUERY]);
+      });
+    });
+
+    it('throws an error for hooks that are not functions', () => {
+      expect(() => celebrate(schema, null, { onSuccess: true })).toThrow(Joi.ValidationError);
+      expect(() => celebrate(schema, null, { onFailure: {} })).toThrow(Joi.ValidationError);
+      expect(() => celebrate(schema, null, { onComplete: 'log' })).toThrow(Joi.ValidationError);
+    });
+  });
+
+  describe('redact', () => {
+    const schema = {
+      [Segments.BODY]: {
+        user: {
+          name: Joi.string(),
+          password: Joi.string().pattern(/^[a-z]+$/),
+        },
+        pin: Joi.number().max(9999),
+        card: {
+          number: Joi.string().creditCard(),
+        },
+      },
+    };
+    const req = () => ({
+      method: 'POST',
+      [Segments.BODY]: {
+        user: { name: 1, password: 'Secret1' },
+        pin: 12345,
+        card: { number: '1234' },
+      },
+    });
+
+    it('scrubs values and labels for the listed paths', () => {
+      expect.assertions(5);
+      const middleware = celebrate(schema, { abortEarly: false }, {
+        redact: ['user.password', 'body.pin', 'card', 'token', 'pin.digits'],
+      });
+
+      return middleware(req(), null, (err) => {
+        expect(err.message).toBe([
+          '"user.name" must be a string',
+          '"[REDACTED]" with value "[REDACTED]" fails to match the required pattern: /^[a-z]+$/',
+          '"[REDACTED]" must be less than or equal to 9999',
+          '"[REDACTED]" must be a credit card',
+        ].join('. '));
+        expect(err.joi.message).toBe(err.message);
+        expect(err.joi.details[1]).toEqual({
+          message: '"[REDACTED]" with value "[REDACTED]" fails to match the required pattern: /^[a-z]+$/',
+          path: ['user', 'password'],
+          type: 'string.pattern.base',
+          context: expect.objectContaining({ key: 'password', label: '[REDACTED]', value: '[REDACTED]' }),
+        });
+        expect(err.joi.details[0].context.value).toBe(1);
+        expect(err.joi._original).toEqual({
+          user: { name: 1, password: '[REDACTED]' },
+          pin: '[REDACTED]',
+          card: '[REDACTED]',
+        });
+      });
+    });
+
+    it('scrubs listed paths from the joi input when other keys fail', () => {
+      expect.assertions(2);
+      const middleware = celebrate(schema, null, { redact: ['user.password'] });
+      const body = { user: { name: 1, password: 'secret' } };
+
+      return middleware({ method: 'POST', [Segments.BODY]: body }, null, (err) => {
+        expect(err.joi._original).toEqual({ user: { name: 1, password: '[REDACTED]' } });
+        expect(body.user.password).toBe('secret');
+      });
+    });
+
+    it('scrubs array items', () => {
+      expect.assertions(2);
+      const middleware = celebrate({
+        [Segments.BODY]: { codes: Joi.array().items(Joi.string().max(3)) },
+      }, null, { redact: (detail) => detail.path[0] === 'codes' });
+
+      return middleware({
+        method: 'POST',
+        [Segments.BODY]: { codes: ['abc', 'abcd'] },
+      }, null, (err) => {
+        expect(err.message).toBe('"[REDACTED]" length must be less than or equal to 3 characters long');
+        expect(err.joi._original).toEqual({ codes: ['abc', '[REDACTED]'] });
+      });
+    });
+
+    it('scrubs the details matched by a predicate', () => {
+      expect.assertions(3);
+      const redact = jest.fn((detail) => detail.path.includes('password'));
+      const middleware = celebrate(schema, null, { redact });
+
+      return middleware(req(), null, (err) => {
+        expect(redact).toHaveBeenCalledWith(expect.objectContaining({ path: ['user', 'name'] }), Segments.BODY);
+        // abortEarly stops at user.name, which is not redacted
+        expect(err.message).toBe('"user.name" must be a string');
+        expect(err.joi._original.user.password).toBe('Secret1');
+      });
+    });
+
+    it('scrubs every segment in full mode and in the errors() output', () => {
+      expect.assertions(3);
+      const middleware = celebrate({
+        [Segments.QUERY]: { token: Joi.string().valid('abc') },
+        [Segments.BODY]: { pin: Joi.number().max(9999) },
+      }, null, {
+        mode: Modes.FULL,
+        redact: (detail, segment) => segment === Segments.QUERY || detail.type === 'number.max',
+      });
+      const res = {
+        status: jest.fn(),
+        send(body) {
+          expect(body.message).toBe('"[REDACTED]" must be [abc]. "[REDACTED]" must be less than or equal to 9999');
+          expect(body.validation.query.message).toBe('"[REDACTED]" must be [abc]');
+        },
+      };
+
+      return middleware({
+        method: 'POST',
+        [Segments.QUERY]: { token: 'xyz' },
+        [Segments.BODY]: { pin: 12345 },
+      }, null, (err) => {
+        expect(err.details.get(Segments.BODY).details[0].context.value).toBe('[REDACTED]');
+        errors()(err, {}, res, jest.fn());
+      });
+    });
+
+    it('redacts a whole segment and errors without details', () => {
+      expect.assertions(2);
+      const middleware = celebrate({
+        [Segments.QUERY]: Joi.string(),
+        [Segments.BODY]: Joi.any().external(() => {
+          throw new Error('lookup failed');
+        }),
+      }, null, { mode: Modes.FULL, redact: [Segments.QUERY] });
+
+      return middleware({
+        method: 'POST',
+        [Segments.QUERY]: { token: 'xyz' },
+        [Segments.BODY]: {},
+      }, null, (err) => {
+        expect(err.joi._original).toBe('[REDACTED]');
+        expect(err.details.get(Segments.BODY).message).toBe('lookup failed (value)');
+      });
+    });
+
+    it('returns a new joi error', () => {
+      expect.assertions(4);
+      const middleware = celebrate(schema, null, { redact: ['user.password'] });
+
+      return middleware(req(), null, (err) => {
+        expect(err.joi).toBeInstanceOf(Joi.ValidationError);
+        expect(err.joi.isJoi).toBe(true);
+        expect(err.joi.annotate(true)).toContain('"password": "[REDACTED]"');
+        expect(err.joi.annotate(true)).not.toContain('Secret1');
+      });
+    });
+
+    it('scrubs the warnings', () => {
+      expect.assertions(4);
+      const onWarning = jest.fn();
+      const res = { setHeader: jest.fn() };
+      const middleware = celebrate({
+        [Segments.BODY]: {
+          token: Joi.string().warning('custom.key', { key: 'token' }),
+          name: Joi.string().warning('custom.key', { key: 'name' }),
+        },
+      }, {
+        messages: { 'custom.key': '{{#label}} was sent as "{{#value}}"' },
+      }, { redact: ['token'], warningHeader: true, onWarning });
+      const request = { method: 'POST', [Segments.BODY]: { token: 'abc123', name: 'john' } };
+
+      return middleware(request, res, (err) => {
+        expect(err).toBeNull();
+        expect(request.celebrateWarnings.get(Segments.BODY).message)
+          .toBe('"[REDACTED]" was sent as "[REDACTED]". "name" was sent as "john"');
+        expect(res.setHeader.mock.calls[0][1]).not.toContain('abc123');
+        expect(onWarning.mock.calls[0][0].get(Segments.BODY).details[0].context.value).toBe('[REDACTED]');
+      });
+    });
+
+    it('throws an error for an invalid redact option', () => {
+      expect(() => celebrate(schema, null, { redact: [] })).toThrow(Joi.ValidationError);
+      expect(() => celebrate(schema, null, { redact: 'password' })).toThrow(Joi.ValidationError);
+    });
+  });
+
+  describe('warnings', () => {
+    const schema = {
+      [Segments.QUERY]: {
+        page: Joi.number(),
+        offset: Joi.number().warning('deprecated.key'),
+      },
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+        nick: Joi.string().min(3).warn(),
+      },
+    };
+    const joiOpts = {
+      messages: { 'deprecated.key': '{{#label}} is deprecated' },
+    };
+
+    it('attaches joi warnings to req.celebrateWarnings', () => {
+      expect.assertions(4);
+      const middleware = celebrate(schema, joiOpts);
+      const req = {
+        method: 'POST',
+        [Segments.QUERY]: { offset: '10' },
+        [Segments.BODY]: { first: 'john', nick: 'j' },
+      };
+
+      return middleware(req, null, (err) => {
+        expect(err).toBe(null);
+        expect(Array.from(req.celebrateWarnings.keys())).toEqual([Segments.QUERY, Segments.BODY]);
+        expect(req.celebrateWarnings.get(Segments.QUERY).message).toBe('"offset" is deprecated');
+        expect(req.celebrateWarnings.get(Segments.BODY).details[0].type).toBe('string.min');
+      });
+    });
+
+    it('leaves req alone when there are no warnings', () => {
+      expect.assertions(2);
+      const onWarning = jest.fn();
+      const middleware = celebrate(schema, joiOpts, { onWarning });
+      const req = {
+        method: 'POST',
+        [Segments.QUERY]: { page: '1' },
+        [Segments.BODY]: { first: 'john' },
+      };
+
+      return middleware(req, null, () => {
+        expect(req).not.toHaveProperty('celebrateWarnings');
+        expect(onWarning).not.toHaveBeenCalled();
+      });
+    });
+
+    it('passes the warnings to onWarning', () => {
+      expect.assertions(2);
+      const onWarning = jest.fn();
+      const middleware = celebrate(schema, joiOpts, { onWarning });
+      const req = {
+        method: 'POST',
+        [Segments.QUERY]: { offset: '10' },
+        [Segments.BODY]: { first: 'john' },
+      };
+      const res = {};
+
+      return middleware(req, res, () => {
+        expect(onWarning).toHaveBeenCalledWith(req.celebrateWarnings, req, res);
+        expect(onWarning.mock.calls[0][0].size).toBe(1);
+      });
+    });
+
+    it('sends the warnings in a Warning header', () => {
+      expect.assertions(1);
+      const middleware = celebrate({
+        [Segments.QUERY]: {
+          offset: Joi.number().warning('deprecated.key'),
+          sort: Joi.string().warning('deprecated.key'),
+        },
+      }, {
+        messages: { 'deprecated.key': '{{#label}} is deprecated, use "cursor" – see docs\\' },
+      }, { warningHeader: true });
+      const res = { setHeader: jest.fn() };
+
+      return middleware({
+        method: 'GET',
+        [Segments.QUERY]: { offset: '10', sort: 'asc' },
+      }, res, () => {
+        expect(res.setHeader).toHaveBeenCalledWith(
+          'Warning',
+          '299 - "\\"offset\\" is deprecated, use \\"cursor\\" ? see docs\\\\", '
+            + '299 - "\\"sort\\" is deprecated, use \\"cursor\\" ? see docs\\\\"',
+        );
+      });
+    });
+
+    it('reports warnings when another segment fails validation', () => {
+      expect.assertions(3);
+      const onWarning = jest.fn();
+      const middleware = celebrate(schema, joiOpts, { onWarning });
+      const req = {
+        method: 'POST',
+        [Segments.QUERY]: { offset: '10' },
+        [Segments.BODY]: { nick: 'john' },
+      };
+
+      return middleware(req, null, (err) => {
+        expect(isCelebrate(err)).toBe(true);
+        expect(err.meta.source).toBe(Segments.BODY);
+        expect(onWarning).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('throws an error for invalid warning options', () => {
+      expect(() => celebrate(schema, null, { warningHeader: 'yes' })).toThrow(Joi.ValidationError);
+      expect(() => celebrate(schema, null, { onWarning: true })).toThrow(Joi.ValidationError);
+    });
+  });
+
+  describe('report mode', () => {
+    const schema = {
+      [Segments.QUERY]: Joi.object({
+        page: Joi.number().default(1),
+        offset: Joi.number().warning('deprecated.key'),
+      }),
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+        role: Joi.string().uppercase(),
+      },
+    };
+    const joiOpts = { messages: { 'deprecated.key': '{{#label}} is deprecated' } };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('reports every failing segment and lets the request through untouched', () => {
+      expect.assertions(7);
+      const reporter = jest.fn();
+      const onFailure = jest.fn();
+      const middleware = celebrate(schema, joiOpts, {
+        mode: Modes.REPORT,
+        reporter,
+        onFailure,
+      });
+      const req = {
+        method: 'POST',
+        [Segments.QUERY]: { page: 'one' },
+        [Segments.BODY]: { role: 'admin' },
+      };
+      const res = {};
+
+      return middleware(req, res, (err) => {
+        expect(err).toBeNull();
+        const [reported] = reporter.mock.calls[0];
+        expect(reporter).toHaveBeenCalledWith(reported, req, res);
+        expect(isCelebrate(reported)).toBe(true);
+        expect(reported.meta.mode).toBe(Modes.REPORT);
+        expect(Array.from(reported.details.keys())).toEqual([Segments.QUERY, Segments.BODY]);
+        expect(onFailure).toHaveBeenCalledWith(reported, req, res, expect.any(Object));
+        expect(req).toEqual({
+          method: 'POST',
+          [Segments.QUERY]: { page: 'one' },
+          [Segments.BODY]: { role: 'admin' },
+        });
+      });
+    });
+
+    it('does not write back values or warnings from a passing request', () => {
+      expect.assertions(5);
+      const reporter = jest.fn();
+      const onWarning = jest.fn();
+      const middleware = celebrate(schema, joiOpts, {
+        mode: Modes.REPORT,
+        reporter,
+        onWarning,
+      });
+      const req = {
+        method: 'POST',
+        [Segments.QUERY]: { offset: '10' },
+        [Segments.BODY]: { first: 'john', role: 'admin' },
+      };
+
+      return middleware(req, null, (err) => {
+        expect(err).toBeNull();
+        expect(reporter).not.toHaveBeenCalled();
+        expect(onWarning).toHaveBeenCalled();
+        expect(req[Segments.BODY]).toEqual({ first: 'john', role: 'admin' });
+        expect(req).not.toHaveProperty('celebrateWarnings');
+      });
+    });
+
+    it('reports failures from externals', () => {
+      expect.assertions(2);
+      const reporter = jest.fn();
+      const middleware = celebrate({
+        [Segments.BODY]: {
+          first: Joi.string().external(() => {
+            throw new Error('first is taken');
+          }),
+        },
+      }, null, { mode: Modes.REPORT, reporter });
+
+      return middleware({ method: 'POST', [Segments.BODY]: { first: 'john' } }, null, (err) => {
+        expect(err).toBeNull();
+        expect(reporter.mock.calls[0][0].message).toBe('first is taken (first)');
+      });
+    });
+
+    it('reports errors from the context option', () => {
+      expect.assertions(2);
+      const reporter = jest.fn();
+      const failure = new Error('no tenant');
+      const middleware = celebrate(schema, null, {
+        mode: Modes.REPORT,
+        reporter,
+        context: () => Promise.reject(failure),
+      });
+
+      return middleware({ method: 'POST', [Segments.BODY]: {} }, null, (err) => {
+        expect(err).toBeNull();
+        expect(reporter.mock.calls[0][0]).toBe(failure);
+      });
+    });
+
+    it('ignores reporters that throw or reject', () => {
+      expect.assertions(2);
+      const req = { method: 'POST', [Segments.BODY]: {} };
+      const throws = celebrate(schema, null, {
+        mode: Modes.REPORT,
+        reporter: () => { throw new Error('reporter failed'); },
+      });
+      const rejects = celebrate(schema, null, {
+        mode: Modes.REPORT,
+        reporter: () => Promise.reject(new Error('reporter failed')),
+      });
+
+      return Promise.all([
+        throws(req, null, (err) => expect(err).toBeNull()),
+        rejects(req, null, (err) => expect(err).toBeNull()),
+      ]);
+    });
+
+    it('only validates the sampled requests', () => {
+      expect.assertions(3);
+      const reporter = jest.fn();
+      const onComplete = jest.fn();
+      const middleware = celebrate(schema, null, {
+        mode: Modes.REPORT,
+        reporter,
+        onComplete,
+        sampleRate: 0.25,
+      });
+      jest.spyOn(Math, 'random')
+        .mockReturnValueOnce(0.1)
+        .mockReturnValueOnce(0.25)
+        .mockReturnValueOnce(0.9);
+
+      const req = { method: 'POST', [Segments.BODY]: {} };
+      return Promise.all([1, 2, 3].map(() => middleware(req, null, jest.fn()))).then(() => {
+        expect(Math.random).toHaveBeenCalledTimes(3);
+        expect(onComplete).toHaveBeenCalledTimes(1);
+        expect(reporter).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('throws an error for invalid report options', () => {
+      const reporter = () => {};
+      expect(() => celebrate(schema, null, { mode: Modes.REPORT })).toThrow('"reporter" is required');
+      expect(() => celebrate(schema, null, { reporter })).toThrow('"reporter" is not allowed');
+      expect(() => celebrate(schema, null, { mode: Modes.FULL, sampleRate: 0.5 })).toThrow('"sampleRate" is not allowed');
+      expect(() => celebrate(schema, null, {
+        mode: Modes.REPORT,
+        reporter,
+        sampleRate: 2,
+      })).toThrow(Joi.ValidationError);
+    });
+
+    it('is not available to validate()', () => {
+      expect.assertions(1);
+      return validate(schema, {}, null, { mode: Modes.REPORT, reporter: () => {} }).catch((err) => {
+        expect(err.details[0].message).toBe('"mode" must be one of [partial, full]');
+      });
+    });
+  });
+});
+
+describe('celebrate.extend()', () => {
+  const base = celebrate({
+    [Segments.HEADERS]: {
+      authorization: Joi.string().required(),
+      'x-tenant': Joi.string().default('public'),
+    },
+    [Segments.QUERY]: {
+      page: Joi.number().default(1),
+    },
+  }, {
+    [Segments.HEADERS]: { allowUnknown: true },
+  }, {
+    mode: Modes.FULL,
+  });
+
+  it('validates the base and route rules in a single pass', () => {
+    expect.assertions(4);
+    const middleware = celebrate.extend(base, {
+      [Segments.QUERY]: {
+        sort: Joi.string().lowercase(),
+      },
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+      },
+    });
+    const req = {
+      method: 'POST',
+      [Segments.HEADERS]: { authorization: 'token', host: 'localhost' },
+      [Segments.QUERY]: { sort: 'ASC' },
+      [Segments.BODY]: { first: 'john' },
+    };
+
+    return middleware(req, null, (err) => {
+      expect(err).toBe(null);
+      expect(req.headers).toEqual({ authorization: 'token', host: 'localhost', 'x-tenant': 'public' });
+      expect(req.query).toEqual({ page: 1, sort: 'asc' });
+      expect(req.body).toEqual({ first: 'john' });
+    });
+  });
+
+  it('inherits and layers the base options', () => {
+    expect.assertions(3);
+    const middleware = celebrate.extend(base, {
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+      },
+    }, {
+      convert: true,
+      [Segments.HEADERS]: { abortEarly: false },
+    });
+
+    return middleware({
+      method: 'POST',
+      [Segments.HEADERS]: { host: 'localhost', 'x-tenant': 1 },
+      [Segments.QUERY]: { page: 'one' },
+      [Segments.BODY]: {},
+    }, null, (err) => {
+      expect(err.meta.mode).toBe(Modes.FULL);
+      expect(err.details.get(Segments.HEADERS).details).toHaveLength(2);
+      expect(Array.from(err.details.keys())).toEqual([
+        Segments.HEADERS,
+        Segments.QUERY,
+        Segments.BODY,
+      ]);
+    });
+  });
+
+  it('accepts a rules object as the base', () => {
+    const middleware = celebrate.extend(base._schema, {
+      [Segments.QUERY]: { sort: Joi.string() },
+    });
+
+    expect(middleware._schema[Segments.HEADERS]).toBe(base._schema[Segments.HEADERS]);
+    expect(Joi.isSchema(middleware._schema[Segments.QUERY])).toBe(true);
+    expect(middleware._joiOpts).toEqual({});
+    expect(middleware._opts).toEqual({});
+  });
+
+  it('applies plain base rules to every method', () => {
+    expect.assertions(4);
+    const middleware = celebrate.extend(base, {
+      GET: { [Segments.QUERY]: { sort: Joi.string() } },
+    });
+    const get = {
+      method: 'GET',
+      [Segments.HEADERS]: { authorization: 'token' },
+      [Segments.QUERY]: { sort: 'asc' },
+    };
+    const del = {
+      method: 'DELETE',
+      [Segments.HEADERS]: { authorization: 'token' },
+      [Segments.QUERY]: { sort: 'asc' },
+    };
+
+    return Promise.all([
+      middleware(get, null, (err) => {
+        expect(err).toBe(null);
+        expect(get.query).toEqual({ page: 1, sort: 'asc' });
+      }),
+      middleware(del, null, (err) => {
+        expect(isCelebrate(err)).toBe(true);
+        expect(err.details.get(Segments.QUERY).message).toBe('"sort" is not allowed');
+      }),
+    ]);
+  });
+
+  it('merges rules keyed by method on both sides', () => {
+    const middleware = celebrate.extend({
+      GET: { [Segments.QUERY]: { page: Joi.number() } },
+      POST: { [Segments.BODY]: { first: Joi.string() } },
+    }, {
+      POST: { [Segments.BODY]: { last: Joi.string() } },
+      PUT: { [Segments.BODY]: { id: Joi.number() } },
+    });
+
+    expect(Object.keys(middleware._schema)).toEqual(['GET', 'POST', 'PUT']);
+    expect(Object.keys(middleware._schema.POST[Segments.BODY].describe().keys)).toEqual(['first', 'last']);
+  });
+
+  it('keeps the HEAD fallback to the GET rules', () => {
+    expect.assertions(5);
+    const middleware = celebrate.extend(celebrate({
+      GET: { [Segments.QUERY]: { q: Joi.string().required() } },
+    }), {
+      [Segments.HEADERS]: Joi.object({ 'x-tenant': Joi.string() }).unknown(),
+    });
+    const head = {
+      method: 'HEAD',
+      [Segments.HEADERS]: { 'x-tenant': 'public' },
+      [Segments.QUERY]: {},
+    };
+    const post = {
+      method: 'POST',
+      [Segments.HEADERS]: { 'x-tenant': 1 },
+      [Segments.QUERY]: {},
+    };
+
+    expect(Object.keys(middleware._schema)).toEqual(['GET', '*']);
+
+    return Promise.all([
+      middleware(head, null, (err) => {
+        expect(isCelebrate(err)).toBe(true);
+        expect(err.details.get(Segments.QUERY).message).toBe('"q" is required');
+      }),
+      middleware(post, null, (err) => {
+        expect(isCelebrate(err)).toBe(true);
+        expect(err.details.get(Segments.HEADERS).message).toBe('"x-tenant" must be a string');
+      }),
+    ]);
+  });
+
+  it('merges HEAD rules over the GET rules they fall back to', () => {
+    const middleware = celebrate.extend({
+      GET: { [Segments.QUERY]: { q: Joi.string() } },
+    }, {
+      HEAD: { [Segments.QUERY]: { page: Joi.number() } },
+    });
+
+    expect(Object.keys(middleware._schema.HEAD[Segments.QUERY].describe().keys)).toEqual(['q', 'page']);
+  });
+
+  describe.each`
+    extendBase | rules | message
+    ${() => {}} | ${{ [Segments.BODY]: {} }} | ${'"base" must be a celebrate middleware or a rules object'}
+    ${base} | ${{}} | ${'"value" must have at least 1 key'}
+    ${base} | ${{ [Segments.QUERY]: Joi.string() }} | ${'Cannot merge type object with another type: string'}
+    `('celebrate.extend($extendBase, $rules)', ({ extendBase, rules, message }) => {
+  it('throws an error', () => {
+    expect(() => celebrate.extend(extendBase, rules)).toThrow(message);
+  });
+});
+});
+
+describe('validate()', () => {
+  const schema = {
+    [Segments.QUERY]: {
+      page: Joi.number().default(1),
+    },
+    [Segments.BODY]: {
+      first: Joi.string().required(),
+      role: Joi.string().uppercase(),
+    },
+  };
+
+  it('resolves with the validated segments and leaves requestLike untouched', () => {
+    const requestLike = {
+      query: {},
+      body: { first: 'john', role: 'admin' },
+    };
+
+    return validate(schema, requestLike).then((value) => {
+      expect(value).toEqual({
+        query: { page: 1 },
+        body: { first: 'john', role: 'ADMIN' },
+      });
+      expect(requestLike).toEqual({
+        query: {},
+        body: { first: 'john', role: 'admin' },
+      });
+    });
+  });
+
+  it('rejects with a CelebrateError', () => {
+    expect.assertions(3);
+    return validate(schema, { query: { page: 'one' }, body: {} }, { abortEarly: false }, {
+      mode: Modes.FULL,
+    }).catch((err) => {
+      expect(isCelebrate(err)).toBe(true);
+      expect(err.meta.source).toBe(Segments.QUERY);
+      expect(Array.from(err.details.keys())).toEqual([Segments.QUERY, Segments.BODY]);
+    });
+  });
+
+  it('picks method keyed rules from requestLike.method', () => {
+    const rules = {
+      GET: { [Segments.QUERY]: { page: Joi.number() } },
+      POST: schema,
+    };
+
+    return Promise.all([
+      validate(rules, { method: 'GET', query: { page: '2' } }),
+      validate(rules, { method: 'HEAD', query: { page: '3' } }),
+    ]).then(([get, head]) => {
+      expect(get).toEqual({ query: { page: 2 } });
+      expect(head).toEqual({ query: { page: 3 } });
+    });
+  });
+
+  describe.each`
+    requestLike
+    ${{ method: 'DELETE', query: { page: 'two' } }}
+    ${{ body: {} }}
+    `('with method keyed rules and $requestLike', ({ requestLike }) => {
+  it('rejects when requestLike.method has no rules', () => {
+    expect.assertions(2);
+    return validate({
+      GET: { [Segments.QUERY]: { page: Joi.number() } },
+      POST: schema,
+    }, requestLike).catch((err) => {
+      expect(err).toBeInstanceOf(Assert.AssertionError);
+      expect(err.message).toBe('"requestLike.method" must be one of GET, POST');
+    });
+  });
+});
+
+  it('uses the fallback locale when requestLike has no headers', () => {
+    expect.assertions(1);
+    return validate(schema, { body: {} }, null, {
+      locales: { fr: { 'any.required': '{{#label}} est requis' } },
+      fallbackLocale: 'fr',
+    }).catch((err) => {
+      expect(err.message).toBe('"first" est requis');
+    });
+  });
+
+  it('passes warnings to onWarning', () => {
+    const onWarning = jest.fn();
+    return validate({
+      [Segments.QUERY]: { offset: Joi.number().warning('deprecated.key') },
+    }, { query: { offset: '1' } }, null, { onWarning }).then(() => {
+      expect(onWarning).toHaveBeenCalledWith(expect.any(Map), expect.any(Object), null);
+    });
+  });
+
+  it('resolves the context from the stand-in request', () => {
+    expect.assertions(1);
+    return validate({
+      [Segments.QUERY]: { limit: Joi.number().max(Joi.ref('$maxLimit')) },
+    }, { query: { limit: '50' }, maxLimit: 20 }, null, {
+      context: (req) => ({ maxLimit: req.maxLimit }),
+    }).catch((err) => {
+      expect(err.message).toBe('"limit" must be less than or equal to ref:global:maxLimit');
+    });
+  });
+
+  describe.each`
+    rules | requestLike | opts
+    ${{}} | ${{}} | ${undefined}
+    ${schema} | ${undefined} | ${undefined}
+    ${schema} | ${{}} | ${{ mutate: true }}
+    ${schema} | ${{}} | ${{ warningHeader: true }}
+    `('validate($rules, $requestLike, null, $opts)', ({ rules, requestLike, opts }) => {
+  it('rejects with a joi error', () => {
+    expect.assertions(1);
+    return validate(rules, requestLike, null, opts).catch((err) => {
+      expect(err).toBeInstanceOf(Joi.ValidationError);
+    });
+  });
+});
+});
+
+describe('errors()', () => {
+  it('responds with a joi error from celebrate middleware', () => {
+    expect.assertions(3);
+    const middleware = celebrate({
+      [Segments.QUERY]: {
+        role: Joi.number().integer().min(4),
+      },
+    });
+    const handler = errors();
+    const next = jest.fn();
+    const res = {
+      status: jest.fn(),
+      send(err) {
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(err).toMatchSnapshot();
+        expect(next).not.toHaveBeenCalled();
+      },
+    };
+
+    return middleware({
+      [Segments.QUERY]: {
+        role: random.number({ min: 0, max: 3 }),
+      },
+      method: 'GET',
+    }, null, (err) => {
+      handler(err, undefined, res, next);
+    });
+  });
+
+  it('passes the error through next if not a joi error from celebrate middleware', () => {
+    const handler = errors();
+    const res = {
+      status() {
+        throw Error('status called');
+      },
+    };
+
+    const schema = Joi.object({
+      role: Joi.number().integer().min(4),
+    });
+
+    const { error } = schema.validate({
+      role: random.word(),
+    });
+
+    handler(error, undefined, res, (e) => {
+      expect(e).toEqual(error);
+    });
+  });
+
+  it('only includes key values if joi returns details', () => {
+    expect.assertions(3);
+    const middleware = celebrate({
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+      },
+    });
+    const handler = errors();
+    const next = jest.fn();
+    const res = {
+      status: jest.fn(),
+      send(err) {
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(err).toMatchSnapshot();
+        expect(next).not.toHaveBeenCalled();
+      },
+    };
+
+    return middleware({
+      [Segments.BODY]: {
+        role: random.word(),
+      },
+      method: 'POST',
+    }, null, (err) => {
+      err.joi.details = null; // eslint-disable-line no-param-reassign
+      handler(err, undefined, res, next);
+    });
+  });
+
+  it('includes more information when abourtEarly is false', () => {
+    expect.assertions(3);
+    const middleware = celebrate({
+      [Segments.QUERY]: {
+        role: Joi.number().required().integer().min(4),
+        name: Joi.string().required(),
+      },
+    }, {
+      abortEarly: false,
+    });
+    const handler = errors();
+    const next = jest.fn();
+    const res = {
+      status: jest.fn(),
+      send(err) {
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(err).toMatchSnapshot();
+        expect(next).not.toHaveBeenCalled();
+      },
+    };
+
+    return middleware({
+      [Segments.QUERY]: {
+        role: random.number({ min: 0, max: 3 }),
+      },
+      method: 'GET',
     }, null, (err) => {
-      err.joi.details = null; // eslint-disable-line no-param-reassign
       handler(err, undefined, res, next);
     });
   });
 
-  it('includes more information when abourtEarly is false', () => {
-    expect.assertions(3);
+  it('honors the configuration options', () => {
+    expect.assertions(4);
     const middleware = celebrate({
       [Segments.QUERY]: {
-        role: Joi.number().required().integer().min(4),
-        name: Joi.string().required(),
+        role: Joi.number().integer().min(4),
       },
-    }, {
-      abortEarly: false,
     });
-    const handler = errors();
+    const statusCode = 409;
+    const handler = errors({ statusCode });
     const next = jest.fn();
     const res = {
-      send(statusCode, err) {
-        expect(statusCode).toBe(400);
+      status: jest.fn(),
+      send(err) {
+        expect(res.status).toHaveBeenCalledWith(statusCode);
+        expect(err).toHaveProperty('statusCode', 409);
         expect(err).toMatchSnapshot();
         expect(next).not.toHaveBeenCalled();
       },
@@ -379,20 +1787,27 @@ describe('errors()', () => {
     });
   });
 
-  it('honors the configuration options', () => {
-    expect.assertions(4);
+  it('responds with every failing segment in full mode', () => {
+    expect.assertions(3);
     const middleware = celebrate({
       [Segments.QUERY]: {
         role: Joi.number().integer().min(4),
       },
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+        last: Joi.string(),
+      },
+    }, {
+      abortEarly: false,
+    }, {
+      mode: Modes.FULL,
     });
-    const statusCode = 409;
-    const handler = errors({ statusCode });
+    const handler = errors();
     const next = jest.fn();
     const res = {
-      send(code, err) {
-        expect(code).toBe(statusCode);
-        expect(err).toHaveProperty('statusCode', 409);
+      status: jest.fn(),
+      send(err) {
+        expect(res.status).toHaveBeenCalledWith(400);
         expect(err).toMatchSnapshot();
         expect(next).not.toHaveBeenCalled();
       },
@@ -402,18 +1817,566 @@ describe('errors()', () => {
       [Segments.QUERY]: {
         role: random.number({ min: 0, max: 3 }),
       },
-      method: 'GET',
+      [Segments.BODY]: {
+        last: random.number(),
+      },
+      method: 'POST',
     }, null, (err) => {
       handler(err, undefined, res, next);
     });
   });
 
+  it('uses the format function to build the response body', () => {
+    expect.assertions(5);
+    const middleware = celebrate({
+      [Segments.QUERY]: {
+        role: Joi.number().integer().min(4),
+      },
+    });
+    const format = jest.fn((err) => ({ reason: err.message }));
+    const handler = errors({ statusCode: 422, format });
+    const req = {
+      [Segments.QUERY]: {
+        role: random.number({ min: 0, max: 3 }),
+      },
+      method: 'GET',
+    };
+    const res = {
+      status: jest.fn(),
+      send(body) {
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(body).toEqual({ reason: '"role" must be larger than or equal to 4' });
+        expect(format).toHaveBeenCalledWith(expect.any(Error), req, { statusCode: 422 });
+        expect(isCelebrate(format.mock.calls[0][0])).toBe(true);
+      },
+    };
+
+    return middleware(req, null, (err) => {
+      expect(handler(err, req, res, jest.fn())).toBeUndefined();
+    });
+  });
+
+  it('sets the content type exposed by the format function', () => {
+    expect.assertions(2);
+    const format = () => '<error/>';
+    format.contentType = 'application/xml';
+    const handler = errors({ format });
+    const { error } = Joi.string().validate(random.number());
+    const res = {
+      setHeader: jest.fn(),
+      status: jest.fn(),
+      send(body) {
+        expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/xml');
+        expect(body).toBe('<error/>');
+      },
+    };
+
+    handler(CelebrateError(error, Segments.BODY, { celebrated: true }), {}, res, jest.fn());
+  });
+
+  it('responds with RFC 7807 problem details', () => {
+    expect.assertions(3);
+    const middleware = celebrate({
+      [Segments.QUERY]: {
+        role: Joi.number().integer().min(4),
+        name: Joi.string().required(),
+      },
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+      },
+    }, {
+      abortEarly: false,
+    }, {
+      mode: Modes.FULL,
+    });
+    const handler = errors({ format: problemDetails });
+    const req = {
+      [Segments.QUERY]: {
+        role: random.number({ min: 0, max: 3 }),
+      },
+      [Segments.BODY]: {},
+      method: 'POST',
+      url: '/users?role=1',
+      originalUrl: '/api/users?role=1',
+    };
+    const res = {
+      setHeader: jest.fn(),
+      status: jest.fn(),
+      send(body) {
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/problem+json');
+        expect(body).toMatchSnapshot();
+      },
+    };
+
+    return middleware(req, null, (err) => {
+      handler(err, req, res, jest.fn());
+    });
+  });
+
+  it('omits the problem instance without a request url', () => {
+    expect.assertions(1);
+    const { error } = Joi.string().validate(random.number());
+    error.details = null;
+    const err = CelebrateError(error, Segments.PARAMS);
+
+    expect(problemDetails(err, {}, { statusCode: 409 })).toEqual({
+      type: 'about:blank',
+      title: 'Conflict',
+      status: 409,
+      detail: '"value" must be a string',
+      errors: [{ source: Segments.PARAMS, message: '"value" must be a string' }],
+    });
+  });
+
+  it('uses req.url as the problem instance', () => {
+    expect.assertions(1);
+    const { error } = Joi.string().validate(random.number());
+
+    const err = CelebrateError(error, Segments.PARAMS);
+
+    expect(problemDetails(err, { url: '/users/1' }, { statusCode: 400 })).toHaveProperty('instance', '/users/1');
+  });
+
+  describe('content negotiation', () => {
+    const { error } = Joi.object({
+      '<b>': Joi.string().required(),
+      role: Joi.number().min(4),
+    }).validate({ role: 1 }, { abortEarly: false });
+    const err = CelebrateError(error, Segments.BODY, { celebrated: true });
+
+    const render = (handler, accept) => new Promise((resolve) => {
+      const res = {
+        headers: {},
+        setHeader(header, value) {
+          res.headers[header] = value;
+        },
+        status: jest.fn(),
+        send(body) {
+          resolve({ headers: res.headers, body });
+        },
+      };
+      handler(err, { headers: { accept } }, res, jest.fn());
+    });
+
+    it('responds with XML', () => render(errors(), 'application/xml').then(({ headers, body }) => {
+      expect(headers['Content-Type']).toBe('application/xml; charset=utf-8');
+      expect(body).toBe([
+        '<?xml version="1.0" encoding="UTF-8"?><error><statusCode>400</statusCode>',
+        '<error>Bad Request</error><message>&quot;&lt;b&gt;&quot; is required. ',
+        '&quot;role&quot; must be larger than or equal to 4</message><validation>',
+        '<source>body</source><keys><item>&amp;lt;b&amp;gt;</item><item>role</item>',
+        '</keys></validation></error>',
+      ].join(''));
+    }));
+
+    it('responds with an escaped HTML page', () => render(errors(), 'text/html,application/xhtml+xml,*/*;q=0.8').then(({ headers, body }) => {
+      expect(headers['Content-Type']).toBe('text/html; charset=utf-8');
+      expect(body).toMatchSnapshot();
+      expect(body).not.toContain('<b>');
+    }));
+
+    it('honors quality values', () => render(errors(), 'text/html;q=0.5, text/plain').then(({ headers, body }) => {
+      expect(headers['Content-Type']).toBe('text/plain; charset=utf-8');
+      expect(body).toBe([
+        '400 Bad Request',
+        '"<b>" is required. "role" must be larger than or equal to 4',
+        'body.&lt;b&gt;: "<b>" is required',
+        'body.role: "role" must be larger than or equal to 4',
+      ].join('\n'));
+    }));
+
+    it('matches the first text type for text/*', () => render(errors(), 'text/*').then(({ headers }) => {
+      expect(headers['Content-Type']).toBe('text/html; charset=utf-8');
+    }));
+
+    it('falls back to JSON', () => Promise.all([
+      render(errors(), 'image/png'),
+      render(errors(), '*/*'),
+      render(errors(), undefined),
+    ]).then((responses) => {
+      responses.forEach(({ headers, body }) => {
+        expect(headers).toEqual({});
+        expect(body).toHaveProperty('statusCode', 400);
+      });
+    }));
+
+    it('replaces and removes renderers', () => {
+      const csv = jest.fn((body, celebrateError, req, { statusCode }) => `${statusCode},${body.message}`);
+      csv.contentType = 'text/csv';
+      const handler = errors({
+        statusCode: 422,
+        renderers: { 'text/csv': csv, 'text/xml': null },
+      });
+
+      return Promise.all([
+        render(handler, 'text/csv'),
+        render(handler, 'text/xml'),
+      ]).then(([csvResponse, xmlResponse]) => {
+        expect(csv).toHaveBeenCalledWith(expect.any(Object), err, expect.any(Object), {
+          statusCode: 422,
+        });
+        expect(csvResponse).toEqual({
+          headers: { 'Content-Type': 'text/csv' },
+          body: `422,${err.message}`,
+        });
+        expect(xmlResponse.headers).toEqual({});
+      });
+    });
+
+    it('sends the format result as is for the format content type', () => {
+      const format = () => '<problem/>';
+      format.contentType = 'application/xml; charset=utf-8';
+
+      return render(errors({ format }), 'application/xml').then(({ headers, body }) => {
+        expect(headers['Content-Type']).toBe('application/xml; charset=utf-8');
+        expect(body).toBe('<problem/>');
+      });
+    });
+
+    it('renders problem details as XML', () => render(errors({ format: problemDetails }), 'application/xml').then(({ body }) => {
+      expect(body).toContain('<errors><item><source>body</source><key>&amp;lt;b&amp;gt;</key>');
+    }));
+
+    it('renders any format result as XML', () => {
+      const format = () => ({
+        empty: null,
+        missing: undefined,
+        1: 'one',
+        'a b': 'two',
+        '': 'three',
+      });
+
+      return render(errors({ format }), 'application/xml').then(({ body }) => {
+        expect(body).toBe('<?xml version="1.0" encoding="UTF-8"?><error><_1>one</_1><empty/><a_b>two</a_b><_>three</_></error>');
+      });
+    });
+
+    it('lists segments without details', () => {
+      const { error: segmentError } = Joi.string().validate(random.number());
+      segmentError.details = null;
+
+      return new Promise((resolve) => {
+        errors()(CelebrateError(segmentError, Segments.PARAMS, { celebrated: true }), {
+          headers: { accept: 'text/plain' },
+        }, {
+          setHeader: jest.fn(),
+          status: jest.fn(),
+          send: resolve,
+        }, jest.fn());
+      }).then((body) => {
+        expect(body).toBe('400 Bad Request\n"value" must be a string\nparams: "value" must be a string');
+      });
+    });
+
+    it('does not allow removing the JSON renderer', () => {
+      expect(() => errors({ renderers: { 'application/json': null } })).toThrow(Joi.ValidationError);
+    });
+  });
+
+  it('throws an error for a format that is not a function', () => {
+    expect(() => errors({ format: 'json' })).toThrow(Joi.ValidationError);
+  });
+
   it('throws an error for goofy satus codes', () => {
     expect(() => errors({ statusCode: 499 })).toThrow(Joi.ValidationError);
     expect(() => errors({ statusCode: 200 })).toThrow(Joi.ValidationError);
   });
 });
 
+describe('celebrateResponse()', () => {
+  const Response = () => {
+    const res = {
+      statusCode: 200,
+      sent: [],
+      send(...args) {
+        res.sent.push(args);
+        return res;
+      },
+      json(...args) {
+        return res.send(...args);
+      },
+    };
+    return res;
+  };
+
+  describe.each`
+    rules | opts
+    ${undefined} | ${undefined}
+    ${{}} | ${undefined}
+    ${{ ok: Joi.object() }} | ${undefined}
+    ${{ 200: Joi.object() }} | ${{ mode: 'sometimes' }}
+    ${{ 200: Joi.object() }} | ${{ mode: ResponseModes.LOG }}
+    `('celebrateResponse($rules, {}, $opts)', ({ rules, opts }) => {
+  it('throws an error', () => {
+    expect(() => {
+      celebrateResponse(rules, {}, opts);
+    }).toThrow(Joi.ValidationError);
+  });
+});
+
+  it('sends the validated body when it matches the schema for the status code', () => {
+    expect.assertions(2);
+    const middleware = celebrateResponse({
+      200: {
+        id: Joi.number().required(),
+        role: Joi.string().default('admin'),
+      },
+    });
+    const res = Response();
+
+    middleware({}, res, () => {
+      res.json({ id: 1 });
+      expect(res.sent).toEqual([[{ id: 1, role: 'admin' }]]);
+      expect(res.statusCode).toBe(200);
+    });
+  });
+
+  it('uses the status code passed to res.send', () => {
+    expect.assertions(1);
+    const middleware = celebrateResponse({
+      404: {
+        message: Joi.string().uppercase(),
+      },
+    });
+    const res = Response();
+
+    middleware({}, res, () => {
+      res.send(404, { message: 'not found' });
+      expect(res.sent).toEqual([[404, { message: 'NOT FOUND' }]]);
+    });
+  });
+
+  it('does not add a body when only a status code is sent', () => {
+    expect.assertions(1);
+    const middleware = celebrateResponse({
+      204: Joi.any().forbidden(),
+    });
+    const res = Response();
+
+    middleware({}, res, () => {
+      res.send(204);
+      expect(res.sent).toEqual([[204]]);
+    });
+  });
+
+  it('skips status codes without a schema', () => {
+    expect.assertions(1);
+    const middleware = celebrateResponse({
+      200: {
+        id: Joi.number().required(),
+      },
+    });
+    const res = Response();
+    res.statusCode = 500;
+
+    middleware({}, res, () => {
+      res.json({ error: 'oops' });
+      expect(res.sent).toEqual([[{ error: 'oops' }]]);
+    });
+  });
+
+  it('uses the supplied the Joi options', () => {
+    expect.assertions(1);
+    const middleware = celebrateResponse({
+      200: {
+        id: Joi.number().required(),
+      },
+    }, { stripUnknown: true });
+    const res = Response();
+
+    middleware({}, res, () => {
+      res.json({ id: 1, password: 'secret' });
+      expect(res.sent).toEqual([[{ id: 1 }]]);
+    });
+  });
+
+  it('responds with a 500 in strict mode when the body does not match', () => {
+    expect.assertions(6);
+    const onError = jest.fn();
+    const middleware = celebrateResponse({
+      200: {
+        id: Joi.number().required(),
+      },
+    }, {}, { onError });
+    const req = {};
+    const res = Response();
+
+    middleware(req, res, () => {
+      res.json({ id: 'abc' });
+      expect(res.statusCode).toBe(500);
+      expect(res.sent).toEqual([[{
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'Response validation failed',
+      }]]);
+      expect(onError).toHaveBeenCalledWith(expect.any(Error), req, res);
+      const [[err]] = onError.mock.calls;
+      expect(err.joi.details[0].message).toBe('"id" must be a number');
+      expect(err.meta).toEqual({ source: 'response', statusCode: 200 });
+      expect(isCelebrate(err)).toBe(false);
+    });
+  });
+
+  it('responds with a 500 in strict mode without an onError callback', () => {
+    expect.assertions(1);
+    const middleware = celebrateResponse({
+      200: {
+        id: Joi.number().required(),
+      },
+    });
+    const res = Response();
+
+    middleware({}, res, () => {
+      res.send({});
+      expect(res.statusCode).toBe(500);
+    });
+  });
+
+  it('reports the error and sends the original body in log mode', () => {
+    expect.assertions(3);
+    const onError = jest.fn();
+    const middleware = celebrateResponse({
+      200: {
+        id: Joi.number().required(),
+      },
+    }, {}, { mode: ResponseModes.LOG, onError });
+    const res = Response();
+
+    middleware({}, res, () => {
+      res.json({ id: 'abc' });
+      expect(res.statusCode).toBe(200);
+      expect(res.sent).toEqual([[{ id: 'abc' }]]);
+      expect(onError).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('exposes the response rules', () => {
+    const rules = { 200: Joi.object() };
+    expect(celebrateResponse(rules)._schema).toBe(rules);
+  });
+});
+
+describe('registerSegment()', () => {
+  registerSegment('tenant', {
+    extract: (req) => req.context.tenant,
+    before: Segments.HEADERS,
+    writeBack: false,
+  });
+  registerSegment('uploads', {
+    before: Segments.BODY,
+  });
+  registerSegment('session', {
+    writeBack: (req, value) => {
+      req.session.validated = value; // eslint-disable-line no-param-reassign
+    },
+  });
+
+  it('adds the segments to Segments', () => {
+    expect(Segments).toMatchObject({
+      TENANT: 'tenant',
+      UPLOADS: 'uploads',
+      SESSION: 'session',
+    });
+  });
+
+  it('validates custom segments in the registered order', () => {
+    expect.assertions(4);
+    const middleware = celebrate({
+      [Segments.HEADERS]: {
+        accept: Joi.string().regex(/xml/),
+      },
+      [Segments.TENANT]: {
+        id: Joi.string().required(),
+      },
+      [Segments.UPLOADS]: Joi.array().max(1),
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+      },
+    }, null, {
+      mode: Modes.FULL,
+    });
+
+    return middleware({
+      context: { tenant: {} },
+      [Segments.HEADERS]: { accept: 'application/json' },
+      [Segments.UPLOADS]: [{}, {}],
+      [Segments.BODY]: {},
+      method: 'POST',
+    }, null, (err) => {
+      expect(isCelebrate(err)).toBe(true);
+      expect(err.meta.source).toBe(Segments.TENANT);
+      expect(Array.from(err.details.keys())).toEqual([
+        Segments.TENANT,
+        Segments.HEADERS,
+        Segments.UPLOADS,
+        Segments.BODY,
+      ]);
+      expect(err.details.get(Segments.TENANT).message).toBe('"id" is required');
+    });
+  });
+
+  it('honors the write back behavior of custom segments', () => {
+    expect.assertions(5);
+    const tenant = { id: 'acme' };
+    const req = {
+      context: { tenant },
+      [Segments.UPLOADS]: [{ name: 'a.png' }],
+      [Segments.SESSION]: { user: 'john' },
+    };
+    const middleware = celebrate({
+      [Segments.TENANT]: {
+        id: Joi.string().uppercase(),
+      },
+      [Segments.UPLOADS]: Joi.array().items(Joi.object({
+        name: Joi.string(),
+        size: Joi.number().default(0),
+      })),
+      [Segments.SESSION]: Joi.object({
+        user: Joi.string().uppercase(),
+      }).unknown(),
+    }, {
+      [Segments.SESSION]: { convert: true },
+    });
+
+    return middleware(req, null, (err) => {
+      expect(err).toBe(null);
+      expect(req.context.tenant).toBe(tenant);
+      expect(req.tenant).toBeUndefined();
+      expect(req.uploads).toEqual([{ name: 'a.png', size: 0 }]);
+      expect(req.session.validated).toEqual({ user: 'JOHN' });
+    });
+  });
+
+  it('responds with custom segment errors', () => {
+    expect.assertions(1);
+    const handler = errors();
+    const { error } = Joi.object({ id: Joi.string() }).validate({ id: 1 });
+    const res = {
+      status: jest.fn(),
+      send(body) {
+        expect(body.validation).toEqual({ source: Segments.TENANT, keys: ['id'] });
+      },
+    };
+
+    handler(CelebrateError(error, Segments.TENANT, { celebrated: true }), {}, res, jest.fn());
+  });
+
+  describe.each`
+    segment | opts | message
+    ${'body'} | ${undefined} | ${'"body" is already a segment'}
+    ${'files'} | ${undefined} | ${'"files" is already a segment'}
+    ${'Tenant'} | ${undefined} | ${'"Tenant" is already a segment'}
+    ${'user'} | ${{ before: 'files2' }} | ${'"files2" is not a segment'}
+    ${'user-id'} | ${undefined} | ${'fails to match the required pattern'}
+    ${'user'} | ${{ writeBack: 'yes' }} | ${'"writeBack" must be one of [boolean, object]'}
+    `('registerSegment($segment, $opts)', ({ segment, opts, message }) => {
+  it('throws an error', () => {
+    expect(() => registerSegment(segment, opts)).toThrow(message);
+  });
+});
+});
+
 describe('isCelebrate()', () => {
   describe.each`
         value | expected
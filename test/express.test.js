@@ -0,0 +1,149 @@
+/* eslint-env jest */
+const express4 = require('express');
+const request = require('supertest');
+const {
+  celebrate,
+  errors,
+  Joi,
+  Segments,
+} = require('../lib');
+
+// express 5 needs node 18 or later
+const expressVersions = [[4, express4]].concat(Number(process.versions.node.split('.')[0]) >= 18
+  // eslint-disable-next-line global-require
+  ? [[5, require('express5')]]
+  : []);
+
+describe.each(expressVersions)('express %i', (version, express) => {
+  const App = () => {
+    const app = express();
+    app.use(express.json());
+    return app;
+  };
+
+  test('writes validated values back to req', () => {
+    const app = App();
+
+    app.use(celebrate({
+      [Segments.QUERY]: Joi.object({
+        page: Joi.number().default(1),
+      }).unknown(),
+    }));
+    app.post('/users/:id', celebrate({
+      [Segments.PARAMS]: {
+        id: Joi.number(),
+      },
+      [Segments.QUERY]: {
+        page: Joi.number(),
+        name: Joi.string().uppercase(),
+      },
+      [Segments.BODY]: {
+        role: Joi.string().default('admin'),
+      },
+    }), (req, res) => {
+      res.json({ params: req.params, query: req.query, body: req.body });
+    });
+
+    return request(app)
+      .post('/users/10')
+      .query({ name: 'john' })
+      .send({})
+      .expect(200, {
+        params: { id: 10 },
+        query: { page: 1, name: 'JOHN' },
+        body: { role: 'admin' },
+      });
+  });
+
+  test('responds with errors()', () => {
+    const app = App();
+    const next = jest.fn();
+
+    app.get('/', celebrate({
+      [Segments.QUERY]: {
+        role: Joi.number().min(4),
+      },
+    }), next);
+    app.use(errors({ statusCode: 422 }));
+
+    return request(app)
+      .get('/')
+      .query({ role: 1 })
+      .expect(() => {
+        expect(next).not.toHaveBeenCalled();
+      })
+      .expect(422, {
+        statusCode: 422,
+        error: 'Unprocessable Entity',
+        message: '"role" must be larger than or equal to 4',
+        validation: {
+          source: 'query',
+          keys: ['role'],
+        },
+      });
+  });
+
+  test('negotiates the errors() response', () => {
+    const app = App();
+
+    app.post('/', celebrate({
+      [Segments.BODY]: {
+        first: Joi.string().required(),
+      },
+    }));
+    app.use(errors());
+
+    return Promise.all([
+      request(app)
+        .post('/')
+        .set('Accept', 'text/html')
+        .send({})
+        .expect('Content-Type', 'text/html; charset=utf-8')
+        .expect(400, /<code>body\.first<\/code> &quot;first&quot; is required/),
+      request(app)
+        .post('/')
+        .set('Accept', 'application/xml')
+        .send({})
+        .expect('Content-Type', 'application/xml; charset=utf-8')
+        .expect(400, /<keys><item>first<\/item><\/keys>/),
+    ]);
+  });
+
+  test('leaves req untouched with mutate: false', () => {
+    const app = App();
+
+    app.get('/', celebrate({
+      [Segments.QUERY]: {
+        page: Joi.number().default(1),
+      },
+    }, null, {
+      mutate: false,
+    }), (req, res) => {
+      res.json({ query: req.query, validated: req.celebrate });
+    });
+
+    return request(app)
+      .get('/')
+      .expect(200, {
+        query: {},
+        validated: { query: { page: 1 } },
+      });
+  });
+
+  test('passes other errors along', () => {
+    const app = App();
+
+    app.get('/', () => {
+      throw new Error('boom');
+    });
+    app.use(errors());
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => {
+      res.status(500).json({ message: err.message });
+    });
+
+    return request(app)
+      .get('/')
+      .expect(500, { message: 'boom' });
+  });
+});
@@ -0,0 +1,151 @@
+/* eslint-env jest */
+const Fastify = require('fastify');
+
+const { celebrate, errors } = require('../lib/fastify');
+const {
+  Joi,
+  Segments,
+  problemDetails,
+} = require('../lib');
+
+const Server = (route, errorOpts) => {
+  const fastify = Fastify();
+  fastify.setErrorHandler(errors(errorOpts));
+  route(fastify);
+  return fastify;
+};
+
+describe('fastify celebrate()', () => {
+  it('validates and updates the request', () => {
+    const server = Server((fastify) => {
+      fastify.post('/users/:id', {
+        preValidation: celebrate({
+          [Segments.PARAMS]: {
+            id: Joi.number(),
+          },
+          [Segments.QUERY]: {
+            page: Joi.number().default(1),
+          },
+          [Segments.BODY]: {
+            first: Joi.string().uppercase(),
+          },
+        }),
+      }, (req, reply) => {
+        reply.send({ id: req.params.id, query: req.query, body: req.body });
+      });
+    });
+
+    return server.inject({
+      method: 'POST',
+      url: '/users/10',
+      payload: { first: 'john' },
+    }).then((res) => {
+      expect(res.statusCode).toBe(200);
+      expect(res.json()).toEqual({
+        id: 10,
+        query: { page: 1 },
+        body: { first: 'JOHN' },
+      });
+    });
+  });
+
+  it('responds with the errors() body when validation fails', () => {
+    const handler = jest.fn();
+    const server = Server((fastify) => {
+      fastify.get('/', {
+        preValidation: celebrate({
+          [Segments.QUERY]: {
+            role: Joi.number().min(4),
+          },
+        }),
+      }, handler);
+    });
+
+    return server.inject({ url: '/?role=1' }).then((res) => {
+      expect(handler).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(400);
+      expect(res.json()).toEqual({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: '"role" must be larger than or equal to 4',
+        validation: {
+          source: 'query',
+          keys: ['role'],
+        },
+      });
+    });
+  });
+
+  it('honors the errors() options', () => {
+    const server = Server((fastify) => {
+      fastify.get('/', {
+        preValidation: celebrate({
+          [Segments.QUERY]: {
+            role: Joi.number().min(4),
+          },
+        }),
+      }, (req, reply) => reply.send({}));
+    }, { statusCode: 422, format: problemDetails });
+
+    return server.inject({ url: '/?role=1' }).then((res) => {
+      expect(res.statusCode).toBe(422);
+      expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(JSON.parse(res.payload)).toMatchObject({
+        status: 422,
+        instance: '/?role=1',
+        detail: '"role" must be larger than or equal to 4',
+      });
+    });
+  });
+
+  it('passes other errors to the default error handler', () => {
+    const server = Server((fastify) => {
+      fastify.get('/', () => {
+        throw new Error('boom');
+      });
+    });
+
+    return server.inject({ url: '/' }).then((res) => {
+      expect(res.statusCode).toBe(500);
+      expect(res.json()).toMatchObject({ message: 'boom' });
+    });
+  });
+
+  it('supports mutate: false and warnings', () => {
+    const server = Server((fastify) => {
+      fastify.get('/', {
+        preValidation: celebrate({
+          [Segments.QUERY]: {
+            page: Joi.number(),
+            offset: Joi.number().warning('deprecated.key'),
+          },
+        }, {
+          messages: { 'deprecated.key': '{{#label}} is deprecated' },
+        }, {
+          mutate: false,
+          warningHeader: true,
+        }),
+      }, (req, reply) => {
+        reply.send({
+          query: req.query,
+          validated: req.celebrate,
+          warnings: req.celebrateWarnings.size,
+        });
+      });
+    });
+
+    return server.inject({ url: '/?page=2&offset=10' }).then((res) => {
+      expect(res.headers.warning).toBe('299 - "\\"offset\\" is deprecated"');
+      expect(res.json()).toEqual({
+        query: { page: '2', offset: '10' },
+        validated: { query: { page: 2, offset: 10 } },
+        warnings: 1,
+      });
+    });
+  });
+
+  it('exposes the schema', () => {
+    const schema = { [Segments.QUERY]: { page: Joi.number() } };
+    expect(celebrate(schema)._schema).toBe(schema);
+  });
+});
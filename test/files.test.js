@@ -0,0 +1,180 @@
+/* eslint-env jest */
+const expect = require('expect');
+const {
+  celebrate,
+  errors,
+  files,
+  isCelebrate,
+  Joi,
+  Segments,
+  validate,
+} = require('../lib');
+
+const upload = (fieldname, originalname, mimetype, size) => ({
+  fieldname,
+  originalname,
+  encoding: '7bit',
+  mimetype,
+  size,
+});
+
+const avatar = upload('avatar', 'me.png', 'image/png', 1024);
+const photo = upload('photos', 'beach.jpg', 'image/jpeg', 2048);
+const pdf = upload('photos', 'notes.pdf', 'application/pdf', 512);
+
+describe('files segment', () => {
+  const rules = {
+    [Segments.FILES]: {
+      avatar: files({ max: 1 }),
+      photos: files(),
+    },
+  };
+
+  describe.each`
+    shape | req | fields
+    ${'req.file from multer single()'} | ${{ file: avatar }} | ${{ avatar: 1 }}
+    ${'req.files from multer array() and any()'} | ${{ files: [avatar, photo, pdf] }} | ${{ avatar: 1, photos: 2 }}
+    ${'req.files from multer fields()'} | ${{ files: { avatar: [avatar], photos: [photo, pdf] } }} | ${{ avatar: 1, photos: 2 }}
+    ${'req.files from express-fileupload'} | ${{ files: { avatar: { name: 'me.png', mimetype: 'image/png', size: 1024 }, photos: [photo, pdf] } }} | ${{ avatar: 1, photos: 2 }}
+    `('with $shape', ({ req, fields }) => {
+  it('groups the uploads by field', () => validate(rules, req).then((result) => {
+    expect(Object.entries(result.files)
+      .reduce((memo, [field, uploads]) => ({ ...memo, [field]: uploads.length }), {}))
+      .toEqual(fields);
+  }));
+});
+
+  it('rejects unexpected fields', () => {
+    expect.assertions(2);
+    return validate(rules, { files: [upload('resume', 'cv.pdf', 'application/pdf', 10)] })
+      .catch((err) => {
+        expect(err.meta.source).toBe(Segments.FILES);
+        expect(err.message).toBe('"resume" is not allowed');
+      });
+  });
+
+  it('validates an empty segment when there are no uploads', () => {
+    expect.assertions(1);
+    return validate({
+      [Segments.FILES]: { avatar: files({ min: 1 }) },
+    }, { body: {} }).catch((err) => {
+      expect(err.message).toBe('"avatar" is required');
+    });
+  });
+
+  it('leaves req.file and req.files untouched', () => {
+    expect.assertions(3);
+    const req = { method: 'POST', file: avatar };
+    const middleware = celebrate({
+      [Segments.FILES]: { avatar: files() },
+    });
+
+    return middleware(req, null, (err) => {
+      expect(err).toBeNull();
+      expect(req.file).toBe(avatar);
+      expect(req.files).toBeUndefined();
+    });
+  });
+
+  it('stores the grouped uploads on req.celebrate with mutate: false', () => {
+    expect.assertions(2);
+    const req = { method: 'POST', files: [avatar] };
+    const middleware = celebrate({
+      [Segments.FILES]: { avatar: files() },
+    }, null, { mutate: false });
+
+    return middleware(req, null, (err) => {
+      expect(err).toBeNull();
+      expect(req.celebrate.files).toEqual({ avatar: [avatar] });
+    });
+  });
+
+  it('validates files after the body', () => {
+    expect.assertions(1);
+    const middleware = celebrate({
+      [Segments.BODY]: { title: Joi.string().required() },
+      [Segments.FILES]: { avatar: files({ min: 1 }) },
+    }, null, { mode: 'full' });
+
+    return middleware({ method: 'POST', body: {} }, null, (err) => {
+      expect(Array.from(err.details.keys())).toEqual([Segments.BODY, Segments.FILES]);
+    });
+  });
+
+  it('responds through errors() like any other segment', () => {
+    expect.assertions(3);
+    const middleware = celebrate({
+      [Segments.FILES]: { photos: files({ maxSize: 1024 }) },
+    });
+    const handler = errors();
+    const res = {
+      status(code) {
+        expect(code).toBe(400);
+        return this;
+      },
+      send(body) {
+        expect(body).toEqual({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: '"photos[0].size" must be at most 1024 bytes',
+          validation: { source: Segments.FILES, keys: ['photos.0.size'] },
+        });
+      },
+    };
+
+    return middleware({ method: 'POST', files: [photo] }, null, (err) => {
+      expect(isCelebrate(err)).toBe(true);
+      handler(err, {}, res, jest.fn());
+    });
+  });
+});
+
+describe('files()', () => {
+  const check = (opts, uploads) => {
+    const { error } = Joi.object({ photos: files(opts) }).validate({ photos: uploads });
+    return error ? error.details[0].message : null;
+  };
+
+  describe.each`
+    opts | uploads | message
+    ${{}} | ${[photo, pdf]} | ${null}
+    ${{ min: 1 }} | ${[]} | ${'"photos" must contain at least 1 items'}
+    ${{ max: 1 }} | ${[photo, pdf]} | ${'"photos" must contain less than or equal to 1 items'}
+    ${{ minSize: 1000 }} | ${[photo, pdf]} | ${'"photos[1].size" must be at least 1000 bytes'}
+    ${{ maxSize: 1024 }} | ${[pdf]} | ${null}
+    ${{ maxSize: 1024 }} | ${[photo]} | ${'"photos[0].size" must be at most 1024 bytes'}
+    ${{ mimeTypes: ['image/*'] }} | ${[photo, upload('photos', 'a.gif', 'IMAGE/GIF', 1)]} | ${null}
+    ${{ mimeTypes: ['image/*'] }} | ${[upload('photos', 'a', 'image/', 1)]} | ${'"photos[0].mimetype" must be one of image/*'}
+    ${{ mimeTypes: ['image/png', 'application/pdf'] }} | ${[pdf]} | ${null}
+    ${{ mimeTypes: ['image/png', 'application/pdf'] }} | ${[photo]} | ${'"photos[0].mimetype" must be one of image/png, application/pdf'}
+    ${{ mimeTypes: ['image/png'] }} | ${[upload('photos', 'a', 'image/pngx', 1)]} | ${'"photos[0].mimetype" must be one of image/png'}
+    ${{ filename: /\.jpe?g$/ }} | ${[photo]} | ${null}
+    ${{ filename: /\.jpe?g$/ }} | ${[pdf]} | ${'"photos[0].originalname" with value "notes.pdf" fails to match the required pattern: /\\.jpe?g$/'}
+    ${{ filename: /\.jpe?g$/ }} | ${[{ name: 'notes.pdf', size: 1 }]} | ${'"photos[0].name" with value "notes.pdf" fails to match the required pattern: /\\.jpe?g$/'}
+    `('files($opts)', ({ opts, uploads, message }) => {
+  it(`reports ${message}`, () => {
+    expect(check(opts, uploads)).toBe(message);
+  });
+});
+
+  it('requires the field when at least one file is expected', () => {
+    expect(check({ min: 1 })).toBe('"photos" is required');
+    expect(check({ min: 0 })).toBeNull();
+  });
+
+  describe.each`
+    opts
+    ${{ min: -1 }}
+    ${{ min: 2, max: 1 }}
+    ${{ max: 0 }}
+    ${{ minSize: 10, maxSize: 1 }}
+    ${{ mimeTypes: [] }}
+    ${{ mimeTypes: ['png'] }}
+    ${{ filename: '*.png' }}
+    ${{ size: 1 }}
+    `('files($opts)', ({ opts }) => {
+  it('throws an error', () => {
+    expect(() => files(opts)).toThrow(Joi.ValidationError);
+  });
+});
+});
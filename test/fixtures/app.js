@@ -0,0 +1,12 @@
+const express = require('express');
+const { celebrate, Joi, Segments } = require('../../lib');
+
+const app = express();
+
+app.post('/users/:id', celebrate({
+  [Segments.PARAMS]: { id: Joi.number() },
+  [Segments.BODY]: { name: Joi.string() },
+}), (req, res) => res.sendStatus(200));
+app.get('/health', (req, res) => res.sendStatus(200));
+
+module.exports = app;
@@ -10,6 +10,7 @@ const {
 
 const {
   celebrate,
+  celebrateResponse,
   Joi,
   Segments,
 } = require('../lib');
@@ -255,6 +256,36 @@ describe('update req values', () => {
   });
 });
 
+describe('mutate: false', () => {
+  test('leaves req untouched and stores validated values on req.celebrate', async (done) => {
+    const server = Server();
+
+    server.post('/', celebrate({
+      [Segments.QUERY]: {
+        page: Joi.number().default(1),
+      },
+      [Segments.BODY]: {
+        first: Joi.string().uppercase(),
+      },
+    }, null, {
+      mutate: false,
+    }), (req, res) => {
+      expect(req.query).toEqual({});
+      expect(req.body).toEqual({ first: 'john' });
+      expect(req.celebrate).toEqual({
+        query: { page: 1 },
+        body: { first: 'JOHN' },
+      });
+      res.send(200);
+    });
+
+    request(server)
+      .post('/')
+      .send({ first: 'john' })
+      .expect(200, done);
+  });
+});
+
 describe('reqContext', () => {
   test('passes req as Joi context during validation', async (done) => {
     const server = Server();
@@ -353,3 +384,70 @@ describe('multiple-runs', () => {
     ], done);
   });
 });
+
+describe('celebrateResponse', () => {
+  test('sends the validated response body', async (done) => {
+    const server = Server();
+
+    server.get('/', celebrateResponse({
+      200: {
+        name: Joi.string().uppercase(),
+      },
+    }), (req, res) => {
+      res.json({ name: 'john' });
+    });
+
+    request(server)
+      .get('/')
+      .expect(200, { name: 'JOHN' }, done);
+  });
+
+  test('responds with a 500 when the response body is invalid', async (done) => {
+    const server = Server();
+    const onError = jest.fn();
+
+    server.get('/', celebrateResponse({
+      200: {
+        name: Joi.string().required(),
+      },
+    }, null, { onError }), (req, res) => {
+      res.send({ first: 'john' });
+    });
+
+    request(server)
+      .get('/')
+      .expect(() => {
+        expect(onError).toHaveBeenCalledTimes(1);
+      })
+      .expect(500, {
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'Response validation failed',
+      }, done);
+  });
+});
+
+describe('warnings', () => {
+  test('sends joi warnings in the Warning header', async (done) => {
+    const server = Server();
+
+    server.get('/', celebrate({
+      [Segments.QUERY]: {
+        offset: Joi.number().warning('deprecated.key'),
+      },
+    }, {
+      messages: { 'deprecated.key': '{{#label}} is deprecated' },
+    }, {
+      warningHeader: true,
+    }), (req, res) => {
+      expect(req.celebrateWarnings.size).toBe(1);
+      res.send(200);
+    });
+
+    request(server)
+      .get('/')
+      .query({ offset: 10 })
+      .expect('Warning', '299 - "\\"offset\\" is deprecated"')
+      .expect(200, done);
+  });
+});
@@ -0,0 +1,316 @@
+/* eslint-env jest */
+const ChildProcess = require('child_process');
+const Path = require('path');
+const expect = require('expect');
+const express = require('express');
+const {
+  celebrate,
+  celebrateResponse,
+  inventory,
+  Joi,
+  Segments,
+  BodyPolicies,
+} = require('../lib');
+const fixture = require('./fixtures/app');
+
+const noop = (req, res) => res.sendStatus(200);
+// express 5 doesn't keep the path a router is mounted on, so those apps can't be listed
+const keepsMountPaths = typeof express.application.lazyrouter === 'function';
+const unlisted = 'Routers and celebrate middleware mounted on a path that uses regular expression syntax, or on any path on express 5, can\'t be listed';
+
+describe('inventory()', () => {
+  it('returns an empty list for an app without routes', () => {
+    expect(inventory(express())).toEqual([]);
+  });
+
+  it('lists every route with the describe() of each validated segment', () => {
+    const app = express();
+    const params = Joi.object({ id: Joi.number().integer() });
+    const body = Joi.object({ name: Joi.string().required() });
+
+    app.post('/users/:id', celebrate({
+      [Segments.PARAMS]: params,
+      [Segments.BODY]: body,
+    }), noop);
+    app.get('/health', noop);
+
+    expect(inventory(app)).toEqual([{
+      method: 'POST',
+      path: '/users/:id',
+      validated: true,
+      segments: {
+        params: [params.describe()],
+        body: [body.describe()],
+      },
+    }, {
+      method: 'GET',
+      path: '/health',
+      validated: false,
+      segments: {},
+    }]);
+  });
+
+  (keepsMountPaths ? it : it.skip)('collects the middleware that applies to each route', () => {
+    const app = express();
+    const router = express.Router();
+    const auth = Joi.object({ authorization: Joi.string().required() }).unknown();
+
+    router.use(celebrate({ [Segments.HEADERS]: auth }));
+    router.get('/:id', celebrate({
+      [Segments.HEADERS]: { 'x-tenant': Joi.string() },
+      [Segments.PARAMS]: { id: Joi.number() },
+    }), noop);
+    app.use('/users', router);
+    app.route('/items')
+      .all(celebrate({
+        GET: { [Segments.QUERY]: { page: Joi.number() } },
+      }))
+      .get(noop)
+      .delete(noop);
+    app.route('/proxy').all(noop);
+    app.get(/^\/legacy/, noop);
+    app.get('/response', celebrateResponse({ 200: Joi.object() }), noop);
+
+    const entries = inventory(app);
+    expect(entries.map(({ method, path, validated }) => [method, path, validated])).toEqual([
+      ['GET', '/users/:id', true],
+      ['GET', '/items', true],
+      ['DELETE', '/items', false],
+      ['ALL', '/proxy', false],
+      ['GET', '/^\\/legacy/', false],
+      ['GET', '/response', false],
+    ]);
+    expect(entries[0].segments.headers).toEqual([
+      auth.describe(),
+      Joi.compile({ 'x-tenant': Joi.string() }).describe(),
+    ]);
+    expect(Object.keys(entries[0].segments)).toEqual(['headers', 'params']);
+  });
+
+  (keepsMountPaths ? it.skip : it)('throws for routers mounted on a path on express 5', () => {
+    const app = express();
+    app.use('/users', express.Router().get('/', noop));
+
+    expect(() => inventory(app)).toThrow(unlisted);
+  });
+
+  it('only lists bodies on GET and HEAD when they are validated', () => {
+    const app = express();
+    const rules = { [Segments.BODY]: { term: Joi.string() } };
+
+    app.get('/skip', celebrate(rules), noop);
+    app.get('/search', celebrate(rules, {}, { bodyPolicy: BodyPolicies.VALIDATE }), noop);
+
+    expect(inventory(app).map(({ path, segments }) => [path, Object.keys(segments)])).toEqual([
+      ['/skip', []],
+      ['/search', ['body']],
+    ]);
+  });
+});
+
+describe('router stacks', () => {
+  const params = Joi.object({ id: Joi.number() });
+  const query = Joi.object({ page: Joi.number() });
+  const fields = Joi.object({ fields: Joi.string() });
+  const route = (path, handle) => ({
+    path,
+    methods: { get: true },
+    stack: [{ method: 'get', handle }],
+  });
+
+  it('walks express 4 apps', () => {
+    const router = {
+      stack: [{ route: route('/:id', celebrate({ [Segments.PARAMS]: params })) }],
+    };
+    const app = {
+      lazyrouter: () => {},
+      _router: {
+        stack: [{
+          regexp: /^\/?(?=\/|$)/i,
+          keys: [],
+          handle: celebrate({ [Segments.QUERY]: query }),
+        }, {
+          regexp: /^\/api(?:\/([^/]+?))\/users\/?(?=\/|$)/i,
+          keys: [{ name: 'tenant' }],
+          handle: router,
+        }],
+      },
+    };
+    app._router.stack[0].regexp.fast_slash = true;
+
+    expect(inventory({ lazyrouter: () => {} })).toEqual([]);
+    expect(inventory(app)).toEqual([{
+      method: 'GET',
+      path: '/api/:tenant/users/:id',
+      validated: true,
+      segments: { params: [params.describe()], query: [query.describe()] },
+    }]);
+  });
+
+  describe.each`
+    version | regexp | keys | path
+    ${'0.1.7'} | ${new RegExp(String.raw`^\/orgs\/(?:([^\/]+?))\/users\/?(?=\/|$)`, 'i')} | ${[{ name: 'org' }]} | ${'/orgs/:org/users'}
+    ${'0.1.7'} | ${new RegExp(String.raw`^\/orgs(?:\/([^\/]+?))?\/v1\.0\/?(?=\/|$)`, 'i')} | ${[{ name: 'org', optional: true }]} | ${'/orgs/:org?/v1.0'}
+    ${'0.1.12'} | ${/^\/orgs(?:\/([^/]+?))\/users\/?(?=\/|$)/i} | ${[{ name: 'org' }]} | ${'/orgs/:org/users'}
+    ${'0.1.12'} | ${/^\/orgs(?:\/([^/]+?))?\/v1\.0\/?(?=\/|$)/i} | ${[{ name: 'org', optional: true }]} | ${'/orgs/:org?/v1.0'}
+    `('with a mount path from path-to-regexp $version', ({ regexp, keys, path }) => {
+  it(`rebuilds ${path}`, () => {
+    const router = {
+      stack: [
+        { route: route('/', celebrate({ [Segments.QUERY]: query })) },
+        { route: route('/:id', noop) },
+      ],
+    };
+    const app = { lazyrouter: () => {}, _router: { stack: [{ regexp, keys, handle: router }] } };
+
+    expect(inventory(app).map((entry) => entry.path)).toEqual([path, `${path}/:id`]);
+  });
+});
+
+  describe.each`
+    version | regexp
+    ${'0.1.7'} | ${/^\/items\/(?:(\d+))\/?(?=\/|$)/i}
+    ${'0.1.12'} | ${/^\/items(?:\/(\d+))\/?(?=\/|$)/i}
+    ${'0.1.12'} | ${/^\/files\/(.*)\/?(?=\/|$)/i}
+    ${'a regular expression'} | ${/^\/v\d+/i}
+    `('with a mount path from $version that uses regular expression syntax', ({ regexp }) => {
+  it(`throws for ${regexp}`, () => {
+    const app = {
+      lazyrouter: () => {},
+      _router: { stack: [{ regexp, keys: [{ name: 'id' }], handle: { stack: [] } }] },
+    };
+
+    expect(() => inventory(app)).toThrow(unlisted);
+  });
+});
+
+  it('walks express 5 apps', () => {
+    const app = {
+      router: {
+        stack: [{
+          matchers: [() => false],
+          slash: true,
+          handle: celebrate({ [Segments.QUERY]: query }),
+        }, {
+          matchers: [() => false],
+          slash: false,
+          handle: noop,
+        }, {
+          matchers: [() => false],
+          route: {
+            path: '/users/:id',
+            methods: { get: true, delete: true },
+            stack: [{
+              handle: celebrate({ GET: { [Segments.QUERY]: fields } }),
+            }, {
+              method: 'get',
+              handle: celebrate({ [Segments.PARAMS]: params }),
+            }],
+          },
+        }, {
+          matchers: [() => false],
+          route: { path: '/proxy', methods: { _all: true }, stack: [{ handle: noop }] },
+        }],
+      },
+    };
+
+    expect(inventory(app)).toEqual([{
+      method: 'GET',
+      path: '/users/:id',
+      validated: true,
+      segments: {
+        query: [query.describe(), fields.describe()],
+        params: [params.describe()],
+      },
+    }, {
+      method: 'DELETE',
+      path: '/users/:id',
+      validated: true,
+      segments: { query: [query.describe()] },
+    }, {
+      method: 'ALL',
+      path: '/proxy',
+      validated: true,
+      segments: { query: [query.describe()] },
+    }]);
+  });
+
+  it('throws for express 5 routers and celebrate middleware mounted on a path', () => {
+    const mounted = (handle) => ({
+      router: {
+        stack: [{ matchers: [() => false], slash: false, handle }],
+      },
+    });
+
+    expect(() => inventory(mounted({ stack: [] }))).toThrow(unlisted);
+    expect(() => inventory(mounted(celebrate({ [Segments.QUERY]: query })))).toThrow(unlisted);
+  });
+
+  it('throws for anything else', () => {
+    expect(() => inventory({})).toThrow('"app" must be an express app or router');
+    expect(() => inventory({ router: {} })).toThrow('"app" must be an express app or router');
+  });
+});
+
+describe('inventory.table()', () => {
+  it('formats the routes as a table', () => {
+    const app = express();
+
+    app.post('/users/:id', celebrate({
+      [Segments.PARAMS]: { id: Joi.number() },
+      [Segments.QUERY]: Joi.string(),
+      [Segments.BODY]: { name: Joi.string(), email: Joi.string() },
+    }), celebrate({
+      [Segments.BODY]: { name: Joi.string(), age: Joi.number() },
+    }), noop);
+    app.get('/health', noop);
+
+    expect(inventory.table(inventory(app))).toEqual([
+      'METHOD  PATH        SEGMENTS',
+      'POST    /users/:id  params (id), query, body (name, email, age)',
+      'GET     /health     (unvalidated)',
+    ].join('\n'));
+  });
+
+  it('prints the header for an empty list', () => {
+    expect(inventory.table([])).toEqual('METHOD  PATH  SEGMENTS');
+  });
+});
+
+describe('celebrate-inventory', () => {
+  const run = (...args) => new Promise((resolve) => {
+    ChildProcess.execFile(
+      process.execPath,
+      [Path.join(__dirname, '../bin/celebrate-inventory.js'), ...args],
+      (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }),
+    );
+  });
+  const app = Path.join(__dirname, 'fixtures/app.js');
+
+  it('prints the routes of the app as a table', () => run(app).then(({ code, stdout }) => {
+    expect(code).toBe(0);
+    expect(stdout).toBe([
+      'METHOD  PATH        SEGMENTS',
+      'POST    /users/:id  params (id), body (name)',
+      'GET     /health     (unvalidated)',
+      '',
+      '1 of 2 routes have no celebrate validation',
+      '',
+    ].join('\n'));
+  }));
+
+  it('prints the routes of the app as JSON with --json', () => run('--json', app).then(({ code, stdout }) => {
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout)).toEqual(JSON.parse(JSON.stringify(inventory(fixture))));
+    expect(JSON.parse(stdout).map(({ method, path }) => `${method} ${path}`)).toEqual([
+      'POST /users/:id',
+      'GET /health',
+    ]);
+  }));
+
+  it('prints the usage without an app module', () => run().then(({ code, stdout, stderr }) => {
+    expect(code).toBe(1);
+    expect(stdout).toBe('');
+    expect(stderr).toBe('Usage: celebrate-inventory <app module> [--json]\n');
+  }));
+});
@@ -0,0 +1,164 @@
+/* eslint-env jest */
+const Koa = require('koa');
+const Router = require('@koa/router');
+const bodyParser = require('koa-bodyparser');
+const request = require('supertest');
+
+const { celebrate, errors } = require('../lib/koa');
+const {
+  Joi,
+  Segments,
+  problemDetails,
+} = require('../lib');
+
+const Server = (route, errorOpts) => {
+  const app = new Koa();
+  app.silent = true;
+  const router = new Router();
+  app.use(errors(errorOpts));
+  app.use(bodyParser());
+  route(router);
+  app.use(router.routes());
+  return app.callback();
+};
+
+describe('koa celebrate()', () => {
+  it('validates and updates ctx.request and ctx.params', () => {
+    const server = Server((router) => {
+      router.post('/users/:id', celebrate({
+        [Segments.HEADERS]: Joi.object({
+          'x-role': Joi.string().lowercase().default('guest'),
+        }).unknown(),
+        [Segments.PARAMS]: {
+          id: Joi.number(),
+        },
+        [Segments.QUERY]: {
+          page: Joi.number().default(1),
+        },
+        [Segments.BODY]: {
+          first: Joi.string().uppercase(),
+        },
+      }), (ctx) => {
+        ctx.body = {
+          role: ctx.request.headers['x-role'],
+          id: ctx.params.id,
+          query: ctx.query,
+          body: ctx.request.body,
+        };
+      });
+    });
+
+    return request(server)
+      .post('/users/10')
+      .send({ first: 'john' })
+      .expect(200, {
+        role: 'guest',
+        id: 10,
+        query: { page: 1 },
+        body: { first: 'JOHN' },
+      });
+  });
+
+  it('responds with the errors() body when validation fails', () => {
+    const next = jest.fn();
+    const server = Server((router) => {
+      router.get('/', celebrate({
+        [Segments.QUERY]: {
+          role: Joi.number().min(4),
+        },
+      }), next);
+    });
+
+    return request(server)
+      .get('/')
+      .query({ role: 1 })
+      .expect(() => {
+        expect(next).not.toHaveBeenCalled();
+      })
+      .expect(400, {
+        statusCode: 400,
+        error: 'Bad Request',
+        message: '"role" must be larger than or equal to 4',
+        validation: {
+          source: 'query',
+          keys: ['role'],
+        },
+      });
+  });
+
+  it('honors the errors() options', () => {
+    const server = Server((router) => {
+      router.get('/', celebrate({
+        [Segments.QUERY]: {
+          role: Joi.number().min(4),
+        },
+      }), (ctx) => {
+        ctx.body = {};
+      });
+    }, { statusCode: 422, format: problemDetails });
+
+    return request(server)
+      .get('/')
+      .query({ role: 1 })
+      .expect('Content-Type', 'application/problem+json')
+      .expect(422)
+      .expect(({ body }) => {
+        expect(body.instance).toBe('/?role=1');
+        expect(body.errors).toEqual([{
+          source: 'query',
+          key: 'role',
+          type: 'number.min',
+          message: '"role" must be larger than or equal to 4',
+        }]);
+      });
+  });
+
+  it('passes other errors along', () => {
+    const server = Server((router) => {
+      router.get('/', () => {
+        throw new Error('boom');
+      });
+    });
+
+    return request(server)
+      .get('/')
+      .expect(500);
+  });
+
+  it('supports mutate: false and warnings', () => {
+    const server = Server((router) => {
+      router.get('/', celebrate({
+        [Segments.QUERY]: {
+          page: Joi.number(),
+          offset: Joi.number().warning('deprecated.key'),
+        },
+      }, {
+        messages: { 'deprecated.key': '{{#label}} is deprecated' },
+      }, {
+        mutate: false,
+        warningHeader: true,
+      }), (ctx) => {
+        ctx.body = {
+          query: ctx.query,
+          validated: ctx.request.celebrate,
+          warnings: ctx.request.celebrateWarnings.size,
+        };
+      });
+    });
+
+    return request(server)
+      .get('/')
+      .query({ page: '2', offset: '10' })
+      .expect('Warning', '299 - "\\"offset\\" is deprecated"')
+      .expect(200, {
+        query: { page: '2', offset: '10' },
+        validated: { query: { page: 2, offset: 10 } },
+        warnings: 1,
+      });
+  });
+
+  it('exposes the schema', () => {
+    const schema = { [Segments.QUERY]: { page: Joi.number() } };
+    expect(celebrate(schema)._schema).toBe(schema);
+  });
+});
@@ -0,0 +1,117 @@
+/* eslint-env jest */
+const express = require('express');
+const request = require('supertest');
+
+const {
+  celebrate,
+  metrics,
+  Joi,
+  Segments,
+  Modes,
+} = require('../lib');
+
+const App = (collector, opts) => {
+  const app = express();
+  app.use(express.json());
+  app.get('/metrics', collector.handler);
+  app.use(celebrate({
+    [Segments.HEADERS]: Joi.object({
+      'x-version': Joi.number(),
+    }).unknown(),
+  }, null, { onComplete: collector.onComplete }));
+
+  const router = express.Router();
+  router.post('/:id', celebrate({
+    [Segments.PARAMS]: {
+      id: Joi.number(),
+    },
+    [Segments.BODY]: {
+      first: Joi.string().required(),
+      role: Joi.string().valid('admin'),
+    },
+  }, { abortEarly: false }, { ...opts, onComplete: collector.onComplete }), (req, res) => {
+    res.send({});
+  });
+  app.use('/users', router);
+
+  return app;
+};
+
+describe('metrics()', () => {
+  it('counts requests and failures per route, segment and joi error type', () => {
+    const collector = metrics();
+    const app = App(collector, { mode: Modes.FULL });
+
+    return request(app).post('/users/1').send({ first: 'john' }).expect(200)
+      .then(() => request(app).post('/users/1').send({ role: 'user' }))
+      .then(() => request(app).post('/users/one').send({}))
+      .then(() => request(app)
+        .get('/metrics')
+        .expect('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+        .expect(200))
+      .then(({ text }) => {
+        const lines = text.split('\n');
+        expect(lines).toEqual(expect.arrayContaining([
+          '# HELP celebrate_requests_total Requests validated by celebrate.',
+          '# TYPE celebrate_requests_total counter',
+          'celebrate_requests_total{route="unmatched",result="success"} 3',
+          'celebrate_requests_total{route="/users/:id",result="success"} 1',
+          'celebrate_requests_total{route="/users/:id",result="failure"} 2',
+          '# TYPE celebrate_failures_total counter',
+          'celebrate_failures_total{route="/users/:id",segment="body",type="any.required"} 2',
+          'celebrate_failures_total{route="/users/:id",segment="body",type="any.only"} 1',
+          'celebrate_failures_total{route="/users/:id",segment="params",type="number.base"} 1',
+          '# TYPE celebrate_segment_duration_seconds summary',
+          'celebrate_segment_duration_seconds_count{route="/users/:id",segment="body"} 3',
+          'celebrate_segment_duration_seconds_count{route="unmatched",segment="headers"} 3',
+        ]));
+        expect(lines).toContainEqual(expect.stringMatching(/^celebrate_segment_duration_seconds_sum\{route="\/users\/:id",segment="params"\} \d/));
+        expect(text.endsWith('\n')).toBe(true);
+      });
+  });
+
+  it('honors the prefix and route options', () => {
+    const collector = metrics({
+      prefix: 'api_',
+      route: (req) => `${req.method} "${req.path}"\n`,
+    });
+    const app = App(collector);
+
+    return request(app).post('/users/1').send({})
+      .then(() => {
+        const text = collector.text();
+        expect(text).toContain('api_requests_total{route="POST \\"/1\\"\\n",result="failure"} 1');
+        expect(text).toContain('api_failures_total{route="POST \\"/1\\"\\n",segment="body",type="any.required"} 1');
+      });
+  });
+
+  it('counts errors without details as unknown', () => {
+    const collector = metrics();
+    const { error } = Joi.string().validate(1);
+    error.details = undefined;
+    const err = { details: new Map([[Segments.BODY, error]]) };
+
+    collector.onComplete(err, { route: { path: '/orders' } }, {}, { timings: new Map() });
+
+    expect(collector.text()).toContain('celebrate_failures_total{route="/orders",segment="body",type="unknown"} 1');
+  });
+
+  it('renders empty metrics', () => {
+    expect(metrics().text()).toBe([
+      '# HELP celebrate_requests_total Requests validated by celebrate.',
+      '# TYPE celebrate_requests_total counter',
+      '# HELP celebrate_failures_total Failed validations by segment and joi error type.',
+      '# TYPE celebrate_failures_total counter',
+      '# HELP celebrate_segment_duration_seconds Time spent validating each segment.',
+      '# TYPE celebrate_segment_duration_seconds summary',
+      '',
+    ].join('\n'));
+  });
+
+  it.each([
+    [{ prefix: 'celebrate-' }],
+    [{ route: '/users' }],
+  ])('throws an error for invalid options %p', (opts) => {
+    expect(() => metrics(opts)).toThrow(Joi.ValidationError);
+  });
+});
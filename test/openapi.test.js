@@ -0,0 +1,296 @@
+/* eslint-env jest */
+const expect = require('expect');
+const express = require('express');
+const {
+  celebrate,
+  celebrateResponse,
+  openapi,
+  Joi,
+  Segments,
+  BodyPolicies,
+} = require('../lib');
+
+const noop = (req, res) => res.sendStatus(200);
+// express 5 doesn't keep the path a router is mounted on, see test/inventory.test.js
+const keepsMountPaths = typeof express.application.lazyrouter === 'function';
+
+describe('openapi()', () => {
+  it('throws an error for invalid options', () => {
+    expect(() => openapi(express(), { info: { title: 'API' } })).toThrow(Joi.ValidationError);
+    expect(() => openapi(express(), { servers: [{}] })).toThrow(Joi.ValidationError);
+  });
+
+  it('returns an empty document for an app without routes', () => {
+    expect(openapi(express(), {
+      info: { title: 'Users', version: '2.0.0' },
+      servers: [{ url: 'https://example.com' }],
+    })).toEqual({
+      openapi: '3.0.3',
+      info: { title: 'Users', version: '2.0.0' },
+      servers: [{ url: 'https://example.com' }],
+      paths: {},
+    });
+  });
+
+  it('converts celebrate rules into parameters and a request body', () => {
+    const app = express();
+
+    app.post('/users/:id', celebrate({
+      [Segments.PARAMS]: {
+        id: Joi.number().integer().min(1),
+      },
+      [Segments.QUERY]: {
+        fields: Joi.array().items(Joi.string()).max(5),
+        sort: Joi.string().valid('asc', 'desc').default('asc'),
+      },
+      [Segments.HEADERS]: Joi.object({
+        'x-token': Joi.string().regex(/^abc\d{3}$/).required(),
+      }).unknown(),
+      [Segments.COOKIES]: {
+        session: Joi.string().guid(),
+      },
+      [Segments.SIGNEDCOOKIES]: {
+        uid: Joi.string().required(),
+      },
+      [Segments.BODY]: Joi.object({
+        name: Joi.string().min(1).max(30).required()
+          .description('Full name'),
+        email: Joi.string().email().example('john@example.com'),
+        age: Joi.number().greater(0).less(150).allow(null),
+        birthday: Joi.date(),
+        website: Joi.string().uri(),
+        tags: Joi.array().items(Joi.string(), Joi.number()).length(2),
+        meta: Joi.object().max(3),
+        password: Joi.any().forbidden(),
+        contact: Joi.alternatives().try(Joi.string(), Joi.number()),
+        anything: Joi.array(),
+        role: Joi.boolean().default(() => false),
+        picture: Joi.binary(),
+      }).required(),
+    }), noop);
+
+    expect(openapi(app)).toMatchSnapshot();
+  });
+
+  it('skips segments that can not be expressed as parameters', () => {
+    const app = express();
+
+    app.get('/search', celebrate({
+      [Segments.QUERY]: Joi.string(),
+      [Segments.HEADERS]: Joi.object(),
+      [Segments.BODY]: {
+        term: Joi.string(),
+      },
+    }), noop);
+
+    expect(openapi(app).paths).toEqual({
+      '/search': {
+        get: {
+          responses: {
+            default: {
+              description: 'Default response',
+            },
+          },
+        },
+      },
+    });
+  });
+
+  it('ignores rules that can not be represented statically', () => {
+    const app = express();
+
+    app.put('/range', celebrate({
+      [Segments.BODY]: {
+        start: Joi.date().min('1-1-2000'),
+        end: Joi.number().min(Joi.ref('start')),
+        choice: Joi.alternatives().conditional('start', {
+          is: Joi.exist(),
+          then: Joi.string(),
+        }),
+        other: Joi.alternatives(),
+      },
+    }), noop);
+
+    const { properties } = openapi(app).paths['/range'].put.requestBody.content['application/json'].schema;
+    expect(properties).toEqual({
+      start: { type: 'string', format: 'date-time' },
+      end: { type: 'number' },
+      choice: { oneOf: [] },
+      other: { oneOf: [] },
+    });
+  });
+
+  (keepsMountPaths ? it : it.skip)('applies router level rules to nested routes', () => {
+    const app = express();
+    const router = express.Router();
+    const admin = express.Router();
+
+    app.use(celebrate({
+      [Segments.HEADERS]: Joi.object({
+        'x-api-version': Joi.number().required(),
+      }).unknown(),
+    }));
+    app.get('/health', noop);
+
+    admin.use(celebrate({
+      [Segments.HEADERS]: Joi.object({
+        authorization: Joi.string().required(),
+        'x-api-version': Joi.number().valid(2).required(),
+      }).unknown(),
+    }));
+    admin.delete('/users/:userId', celebrate({
+      [Segments.PARAMS]: {
+        userId: Joi.string(),
+      },
+    }), noop);
+
+    router.use('/admin', admin);
+    router.get('/users/:userId', noop);
+    app.use('/api/:tenant', router);
+
+    expect(openapi(app).paths).toMatchSnapshot();
+  });
+
+  (keepsMountPaths ? it : it.skip)('applies rules mounted on a path only to matching routes', () => {
+    const app = express();
+
+    app.use('/private', celebrate({
+      [Segments.HEADERS]: Joi.object({
+        authorization: Joi.string().required(),
+      }).unknown(),
+    }));
+    app.get('/public', celebrate({
+      [Segments.QUERY]: {
+        page: Joi.number(),
+      },
+    }), noop);
+    app.get('/private/stats', noop);
+
+    const { paths } = openapi(app);
+    expect(paths['/public'].get.parameters.map((p) => p.name)).toEqual(['page']);
+    expect(paths['/private/stats'].get.parameters.map((p) => p.name)).toEqual(['authorization']);
+  });
+
+  it('uses method specific route middleware', () => {
+    const app = express();
+
+    app.route('/items')
+      .all(celebrate({
+        [Segments.QUERY]: {
+          verbose: Joi.boolean(),
+        },
+      }))
+      .get(noop)
+      .post(celebrate({
+        [Segments.BODY]: {
+          name: Joi.string().required(),
+        },
+      }), noop);
+    app.route('/anything').all(celebrate({
+      [Segments.QUERY]: {
+        verbose: Joi.boolean(),
+      },
+    }));
+    app.get(['/a', '/b'], celebrate({
+      [Segments.QUERY]: {
+        verbose: Joi.boolean(),
+      },
+    }), noop);
+    app.get('/plain', noop);
+    app.get('/response', celebrateResponse({
+      200: Joi.object(),
+    }), noop);
+
+    const { paths } = openapi(app);
+    expect(Object.keys(paths)).toEqual(['/items', '/response']);
+    expect(paths['/items'].get.parameters.map((p) => p.name)).toEqual(['verbose']);
+    expect(paths['/items'].get.requestBody).toBeUndefined();
+    expect(paths['/items'].post.parameters.map((p) => p.name)).toEqual(['verbose']);
+    expect(paths['/items'].post.requestBody).toEqual({
+      required: false,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: { name: { type: 'string' } },
+            additionalProperties: false,
+            required: ['name'],
+          },
+        },
+      },
+    });
+  });
+
+  it('uses the rules for each method from method keyed rules', () => {
+    const app = express();
+
+    app.route('/items/:id')
+      .all(celebrate({
+        GET: {
+          [Segments.QUERY]: {
+            fields: Joi.string(),
+          },
+        },
+        PUT: {
+          [Segments.BODY]: {
+            name: Joi.string(),
+          },
+        },
+      }))
+      .get(noop)
+      .put(noop)
+      .delete(noop);
+
+    const { paths } = openapi(app);
+    expect(paths['/items/{id}'].get.parameters.map((p) => p.name)).toEqual(['id', 'fields']);
+    expect(paths['/items/{id}'].put.requestBody).toBeDefined();
+    expect(paths['/items/{id}'].put.parameters.map((p) => p.name)).toEqual(['id']);
+    expect(paths['/items/{id}'].delete).toEqual({
+      parameters: [{
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'string' },
+      }],
+      responses: {
+        default: {
+          description: 'Default response',
+        },
+      },
+    });
+  });
+
+  it('only documents GET bodies when they are validated', () => {
+    const app = express();
+    const rules = { [Segments.BODY]: { term: Joi.string() } };
+
+    app.get('/skip', celebrate(rules), noop);
+    app.get('/search', celebrate(rules, null, { bodyPolicy: BodyPolicies.VALIDATE }), noop);
+
+    const { paths } = openapi(app);
+    expect(paths['/skip'].get.requestBody).toBeUndefined();
+    expect(paths['/search'].get.requestBody.content['application/json'].schema).toEqual({
+      type: 'object',
+      properties: { term: { type: 'string' } },
+      additionalProperties: false,
+    });
+  });
+
+  it('walks a router stack directly', () => {
+    const router = express.Router();
+    router.patch('/:id', celebrate({
+      [Segments.PARAMS]: {
+        id: Joi.string(),
+      },
+    }), noop);
+    router.stack.unshift({
+      handle: celebrate({
+        [Segments.QUERY]: {
+          dryRun: Joi.boolean(),
+        },
+      }),
+    });
+
+    expect(openapi(router).paths['/{id}'].patch.parameters.map((p) => p.name)).toEqual(['id', 'dryRun']);
+  });
+});
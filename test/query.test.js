@@ -0,0 +1,148 @@
+/* eslint-env jest */
+const expect = require('expect');
+const express = require('express');
+const request = require('supertest');
+const {
+  celebrate,
+  errors,
+  Joi,
+  Segments,
+  validate,
+} = require('../lib');
+
+const rules = {
+  [Segments.QUERY]: {
+    ids: Joi.array().items(Joi.number()),
+    tags: Joi.array(),
+    filter: Joi.object({
+      name: Joi.string(),
+      age: Joi.object({ min: Joi.number() }),
+    }),
+    points: Joi.array().items(Joi.object({ x: Joi.number() })),
+    page: Joi.number(),
+    'user.name': Joi.string(),
+    search: Joi.alternatives().try(Joi.string(), Joi.array()),
+  },
+};
+
+describe('shapeQuery', () => {
+  describe.each`
+    query | expected
+    ${{ ids: '1,2,3' }} | ${{ ids: [1, 2, 3] }}
+    ${{ ids: ['1,2', '3'] }} | ${{ ids: [1, 2, 3] }}
+    ${{ ids: '7' }} | ${{ ids: [7] }}
+    ${{ ids: 7 }} | ${{ ids: [7] }}
+    ${{ ids: '' }} | ${{ ids: [] }}
+    ${{ 'ids[]': ['1', '2'] }} | ${{ ids: [1, 2] }}
+    ${{ 'ids[]': '1' }} | ${{ ids: [1] }}
+    ${{ 'ids[1]': '2', 'ids[0]': '1' }} | ${{ ids: [1, 2] }}
+    ${{ ids: { 1: '2', 0: '1' } }} | ${{ ids: [1, 2] }}
+    ${{ tags: { a: 'b' } }} | ${{ tags: [{ a: 'b' }] }}
+    ${{ tags: {} }} | ${{ tags: [{}] }}
+    ${{ ids: ['1'], 'ids[]': '2' }} | ${{ ids: [1, 2] }}
+    ${{ tags: ['a', ['b,c']] }} | ${{ tags: ['a', 'b', 'c'] }}
+    ${{ 'filter[name]': 'john', 'filter.age.min': '3' }} | ${{ filter: { name: 'john', age: { min: 3 } } }}
+    ${{ 'filter.name': 'john', filter: { age: { min: '1' } } }} | ${{ filter: { name: 'john', age: { min: 1 } } }}
+    ${{ 'points[0][x]': '1', 'points[1][x]': '2' }} | ${{ points: [{ x: 1 }, { x: 2 }] }}
+    ${{ 'user.name': 'john' }} | ${{ 'user.name': 'john' }}
+    ${{ search: 'a,b' }} | ${{ search: 'a,b' }}
+    ${{ page: '2' }} | ${{ page: 2 }}
+    `('shapes $query', ({ query, expected }) => {
+  it('validates the reshaped query', () => {
+    const original = JSON.parse(JSON.stringify(query));
+    return validate(rules, { method: 'GET', query }, {}, { shapeQuery: true }).then((result) => {
+      expect(result.query).toEqual(expected);
+      expect(query).toEqual(original);
+    });
+  });
+});
+
+  describe.each`
+    query | message
+    ${{ other: '1' }} | ${'"other" is not allowed'}
+    ${{ 'page[x]': '1', page: '2' }} | ${'"page[x]" is not allowed'}
+    ${{ 'filter.name': 'john', 'filter[name]': 'jane' }} | ${'"filter[name]" is not allowed'}
+    ${{ 'ids[]': '1', 'ids[x]': '1' }} | ${'"ids[x]" is not allowed'}
+    ${{ 'ids[0]': '1', 'ids[]': '1' }} | ${'"ids[]" is not allowed'}
+    ${{ '__proto__[admin]': 'true' }} | ${'"__proto__[admin]" is not allowed'}
+    ${{ filter: 'john', 'filter.name': 'jane' }} | ${'"filter" must be of type object'}
+    `('keeps keys that can\'t be expanded', ({ query, message }) => {
+  it(`rejects ${JSON.stringify(query)}`, () => {
+    expect.assertions(2);
+    return validate(rules, { method: 'GET', query }, {}, { shapeQuery: true }).catch((err) => {
+      expect(err.joi.details[0].message).toBe(message);
+      expect(Object.getPrototypeOf(err.joi._original)).toBe(Object.prototype);
+    });
+  });
+});
+
+  it('splits on a custom delimiter', () => validate(rules, {
+    method: 'GET',
+    query: { ids: '1|2' },
+  }, {}, { shapeQuery: { delimiter: '|' } }).then((result) => {
+    expect(result.query).toEqual({ ids: [1, 2] });
+  }));
+
+  it('leaves the query alone by default', () => {
+    expect.assertions(1);
+    return validate(rules, { method: 'GET', query: { ids: '1,2' } }).catch((err) => {
+      expect(err.joi.details[0].message).toBe('"ids" must be an array');
+    });
+  });
+
+  it('leaves queries that aren\'t objects to joi', () => {
+    expect.assertions(1);
+    return validate(rules, { method: 'GET', query: 'ids=1' }, {}, { shapeQuery: true }).catch((err) => {
+      expect(err.joi.details[0].message).toBe('"value" must be of type object');
+    });
+  });
+
+  it('leaves queries validated by schemas that aren\'t objects alone', () => {
+    expect.assertions(1);
+    return validate({
+      [Segments.QUERY]: Joi.alternatives().try(Joi.object({ ids: Joi.array() })),
+    }, { method: 'GET', query: { ids: '1' } }, {}, { shapeQuery: true }).catch((err) => {
+      expect(err.joi.details[0].message).toBe('"ids" must be an array');
+    });
+  });
+
+  it('throws an error for invalid options', () => {
+    expect(() => celebrate(rules, {}, { shapeQuery: { delimiter: '' } })).toThrow(Joi.ValidationError);
+    expect(() => celebrate(rules, {}, { shapeQuery: 'yes' })).toThrow(Joi.ValidationError);
+  });
+
+  describe.each`
+    parser
+    ${'extended'}
+    ${'simple'}
+    `('with the $parser express query parser', ({ parser }) => {
+  const app = express();
+  app.set('query parser', parser);
+  app.get('/', celebrate(rules, {}, { shapeQuery: true }), (req, res) => {
+    res.send(req.query);
+  });
+  app.use(errors());
+
+  it.each([
+    '/?ids=1,2,3',
+    '/?ids=1&ids=2&ids=3',
+    '/?ids[]=1&ids[]=2&ids[]=3',
+    '/?ids[0]=1&ids[1]=2&ids[2]=3',
+  ])('accepts %s', (url) => request(app)
+    .get(url)
+    .expect(200)
+    .then((res) => {
+      expect(res.body).toEqual({ ids: [1, 2, 3] });
+    }));
+
+  it.each([
+    '/?filter[name]=john&filter[age][min]=3',
+    '/?filter.name=john&filter.age.min=3',
+  ])('accepts %s', (url) => request(app)
+    .get(url)
+    .expect(200)
+    .then((res) => {
+      expect(res.body).toEqual({ filter: { name: 'john', age: { min: 3 } } });
+    }));
+});
+});
@@ -0,0 +1,246 @@
+/* eslint-env jest */
+const express = require('express');
+const request = require('supertest');
+const cookieParser = require('cookie-parser');
+const {
+  celebrate,
+  errors,
+  Joi,
+  Segments,
+  BodyPolicies,
+} = require('../lib');
+const { fixtures, path, apply } = require('../testing');
+
+describe('fixtures()', () => {
+  const middleware = celebrate({
+    [Segments.HEADERS]: Joi.object({
+      'x-tenant': Joi.string().guid().required(),
+    }).unknown(),
+    [Segments.PARAMS]: {
+      id: Joi.number().integer().min(1).required(),
+    },
+    [Segments.QUERY]: {
+      page: Joi.number().integer().min(1).max(100),
+      sort: Joi.string().valid('asc', 'desc'),
+      tags: Joi.array().items(Joi.string()).max(2),
+    },
+    [Segments.COOKIES]: {
+      session: Joi.string().length(8).required(),
+    },
+    [Segments.BODY]: {
+      email: Joi.string().email().required(),
+      name: Joi.string().min(2).max(10),
+      age: Joi.number().positive(),
+      admin: Joi.boolean(),
+      address: Joi.object({
+        zip: Joi.string().length(5).required(),
+      }),
+      legacy: Joi.forbidden(),
+      code: Joi.string().pattern(/^[A-Z]{3}$/).example('ABC'),
+    },
+  });
+
+  const app = express();
+  // express 5 doesn't parse the bracket notation apply() sends by default
+  app.set('query parser', 'extended');
+  app.use(express.json());
+  app.use(cookieParser());
+  app.post('/users/:id', middleware, (req, res) => {
+    res.status(201).send();
+  });
+  app.use(errors());
+
+  const { valid, invalid } = fixtures(middleware, { method: 'POST' });
+
+  it('generates a valid request', () => apply(request(app).post(path('/users/:id', valid.params)), valid)
+    .expect(201));
+
+  it('labels each invalid request with the key and joi error type', () => {
+    expect(invalid.map(({ label }) => label)).toEqual([
+      'headers.x-tenant any.required',
+      'headers.x-tenant string.guid',
+      'params.id number.base',
+      'params.id number.min',
+      'params.id number.integer',
+      'query.page number.base',
+      'query.page number.min',
+      'query.page number.max',
+      'query.page number.integer',
+      'query.sort any.only',
+      'query.tags array.base',
+      'query.tags array.max',
+      'query.celebrateUnknownKey object.unknown',
+      'cookies.session any.required',
+      'cookies.session string.length',
+      'cookies.celebrateUnknownKey object.unknown',
+      'body.email any.required',
+      'body.email string.base',
+      'body.email string.email',
+      'body.name string.base',
+      'body.name string.min',
+      'body.name string.max',
+      'body.age number.base',
+      'body.age number.positive',
+      'body.admin boolean.base',
+      'body.address object.base',
+      'body.address.zip any.required',
+      'body.address.zip string.base',
+      'body.address.zip string.length',
+      'body.address.celebrateUnknownKey object.unknown',
+      'body.legacy any.unknown',
+      'body.code string.base',
+      'body.code string.pattern.base',
+      'body.celebrateUnknownKey object.unknown',
+    ]);
+  });
+
+  it('generates requests that fail on the labeled key', () => Promise.all(invalid
+    .map(({ segment, key, request: fixture }) => apply(
+      request(app).post(path('/users/:id', fixture.params)),
+      fixture,
+    ).expect(400).then((res) => {
+      expect(res.body.validation).toEqual({ source: segment, keys: [key] });
+    }))));
+
+  it('builds values from examples, valid values, types and rules', () => {
+    const context = { max: 3 };
+    expect(fixtures({
+      [Segments.BODY]: {
+        example: Joi.string().pattern(/^\d+$/).example('42'),
+        only: Joi.number().valid(1, 2),
+        upper: Joi.string().uppercase().min(8),
+        short: Joi.string().max(3),
+        exact: Joi.string().length(6),
+        uri: Joi.string().uri(),
+        date: Joi.date(),
+        port: Joi.number().port(),
+        multiple: Joi.number().greater(4).multiple(3),
+        below: Joi.number().less(0),
+        negative: Joi.number().negative().integer(),
+        ref: Joi.number().max(Joi.ref('$max')),
+        list: Joi.array().length(2),
+        empty: Joi.array().items(Joi.object({ id: Joi.number().required() })).min(0),
+        either: Joi.alternatives().try(Joi.boolean(), Joi.string()),
+        conditional: Joi.alternatives().conditional('only', { is: 1, then: Joi.number() }),
+        any: Joi.any(),
+        open: Joi.object(),
+      },
+    }, { method: 'PUT', context })).toEqual({
+      valid: {
+        body: {
+          example: '42',
+          only: 1,
+          upper: 'VALUEXXX',
+          short: 'val',
+          exact: 'valuex',
+          uri: 'https://example.com',
+          date: '2020-01-01T00:00:00.000Z',
+          port: 8080,
+          multiple: 6,
+          below: -1,
+          negative: -1,
+          ref: 1,
+          list: ['value', 'value'],
+          empty: [],
+          either: true,
+          conditional: 1,
+          any: 'value',
+          open: {},
+        },
+      },
+      invalid: expect.arrayContaining([
+        expect.objectContaining({ label: 'body.only any.only' }),
+        expect.objectContaining({ label: 'body.multiple number.greater' }),
+        expect.objectContaining({ label: 'body.multiple number.multiple' }),
+        expect.objectContaining({ label: 'body.below number.less' }),
+        expect.objectContaining({ label: 'body.negative number.negative' }),
+        expect.objectContaining({ label: 'body.port number.port' }),
+        expect.objectContaining({ label: 'body.list array.length' }),
+        expect.objectContaining({ label: 'body.date date.base' }),
+        expect.objectContaining({ label: 'body.uri string.uri' }),
+        expect.objectContaining({ label: 'body.exact string.length' }),
+      ]),
+    });
+  });
+
+  it('generates array items and their variants', () => {
+    const { valid: list, invalid: variants } = fixtures({
+      [Segments.BODY]: {
+        items: Joi.array().items(Joi.object({ id: Joi.number().required() })).min(1),
+      },
+    }, { method: 'POST' });
+
+    expect(list).toEqual({ body: { items: [{ id: 1 }] } });
+    expect(variants.map(({ label }) => label)).toEqual([
+      'body.items array.base',
+      'body.items array.min',
+      'body.items.0 object.base',
+      'body.items.0.id any.required',
+      'body.items.0.id number.base',
+      'body.items.0.celebrateUnknownKey object.unknown',
+      'body.celebrateUnknownKey object.unknown',
+    ]);
+  });
+
+  it('picks rules by method and skips the body on GET', () => {
+    const rules = {
+      GET: {
+        [Segments.QUERY]: { page: Joi.number() },
+        [Segments.BODY]: { first: Joi.string() },
+      },
+    };
+
+    expect(fixtures(rules).valid).toEqual({ query: { page: '1' } });
+    expect(fixtures(rules, { method: 'head' }).valid).toEqual({ query: { page: '1' } });
+    expect(fixtures(rules, { method: 'delete' })).toEqual({ valid: {}, invalid: [] });
+  });
+
+  it('keeps the body on GET when the middleware validates it', () => {
+    const search = celebrate({
+      [Segments.BODY]: { first: Joi.string() },
+    }, null, { bodyPolicy: BodyPolicies.VALIDATE });
+
+    expect(fixtures(search).valid).toEqual({ body: { first: 'value' } });
+  });
+
+  it('uses the joi options of the middleware', () => {
+    const { invalid: variants } = fixtures(celebrate({
+      [Segments.QUERY]: { page: Joi.number() },
+    }, { allowUnknown: true }));
+
+    expect(variants.map(({ label }) => label)).toEqual(['query.page number.base']);
+  });
+
+  it('throws when a valid value cannot be generated', () => {
+    expect(() => fixtures({
+      [Segments.BODY]: { code: Joi.string().pattern(/^\d+$/) },
+    }, { method: 'POST' })).toThrow('Unable to generate a valid body: "code" with value "value" fails to match the required pattern: /^\\d+$/. Add an example() to the schema.');
+  });
+
+  it('throws for invalid arguments', () => {
+    expect(() => fixtures()).toThrow('"rules" is required');
+    expect(() => fixtures({}, { method: 1 })).toThrow(Joi.ValidationError);
+  });
+});
+
+describe('path()', () => {
+  it('fills in the path params', () => {
+    expect(path('/users/:id/posts/:post?', { id: 'a b', post: 2 })).toBe('/users/a%20b/posts/2');
+    expect(path('/users/:id')).toBe('/users/:id');
+  });
+});
+
+describe('apply()', () => {
+  it('only sets the generated segments', () => {
+    const test = {
+      query: jest.fn(),
+      set: jest.fn(),
+      send: jest.fn(),
+    };
+
+    expect(apply(test, { params: { id: '1' } })).toBe(test);
+    expect(test.query).not.toHaveBeenCalled();
+    expect(test.set).not.toHaveBeenCalled();
+    expect(test.send).not.toHaveBeenCalled();
+  });
+});
@@ -1,29 +1,70 @@
 const Benchmark = require('benchmark');
-const { celebrate, Joi } = require('../lib');
+const { celebrate, Joi, Segments } = require('../lib');
 
-const middleware = celebrate({
+const single = celebrate({
   body: {
     name: Joi.string().allow('adam').required(),
   },
 });
 
+const segments = {
+  [Segments.HEADERS]: Joi.object({
+    'x-tenant': Joi.string().required(),
+  }).unknown(),
+  [Segments.PARAMS]: {
+    id: Joi.number().integer().required(),
+  },
+  [Segments.QUERY]: {
+    page: Joi.number().integer().min(1).default(1),
+    sort: Joi.string().valid('asc', 'desc'),
+  },
+  [Segments.BODY]: {
+    name: Joi.string().required(),
+    email: Joi.string().email().required(),
+    tags: Joi.array().items(Joi.string()).max(5),
+  },
+};
+
+// The same rules, but an external() on one key sends every segment down the async path
+const multi = celebrate(segments);
+const multiExternal = celebrate({
+  ...segments,
+  [Segments.BODY]: {
+    ...segments[Segments.BODY],
+    name: Joi.string().required().external(() => undefined),
+  },
+});
+
+const validRequest = () => ({
+  method: 'post',
+  headers: { 'x-tenant': 'acme' },
+  params: { id: '10' },
+  query: { sort: 'asc' },
+  body: { name: 'adam', email: 'adam@example.com', tags: ['a', 'b'] },
+});
+
+const invalidRequest = () => ({
+  ...validRequest(),
+  body: { name: 'adam', email: 'adam' },
+});
+
 const suite = new Benchmark.Suite();
-const noop = () => {};
-
-suite.add('valid', () => {
-  middleware({
-    body: {
-      name: 'adam',
-    },
-    method: 'post',
-  }, {}, noop);
-}).add('invalid', () => {
-  middleware({
-    body: {},
-    method: 'post',
-  }, {}, noop);
+
+// Deferred so each sample includes the time until next() is called
+const add = (name, middleware, request) => suite.add(name, {
+  defer: true,
+  fn(deferred) {
+    middleware(request(), {}, () => deferred.resolve());
+  },
 });
 
+add('valid', single, () => ({ body: { name: 'adam' }, method: 'post' }));
+add('invalid', single, () => ({ body: {}, method: 'post' }));
+add('multi-segment valid', multi, validRequest);
+add('multi-segment invalid', multi, invalidRequest);
+add('multi-segment valid with external()', multiExternal, validRequest);
+add('multi-segment invalid with external()', multiExternal, invalidRequest);
+
 suite.on('complete', function suiteComplete() {
   for (let i = 0; i < this.length; i += 1) {
     console.log(this[i].toString());